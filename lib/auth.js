@@ -0,0 +1,116 @@
+const { hashApiKey } = require('./session');
+
+// Authentication and scopes for the connector's own routes. API keys have
+// read, write or admin (each including the ones before), browser sessions read
+// and write. CRON_SECRET can only call the cron routes.
+
+const SCOPES = ['read', 'write', 'admin'];
+const BROWSER_SCOPES = ['read', 'write'];
+
+function hasScope(granted, required) {
+  const level = SCOPES.indexOf(required);
+  return (granted || []).some(scope => SCOPES.indexOf(scope) >= level);
+}
+
+// Returns the list of valid scopes, or null if any is unknown
+function parseScopes(value) {
+  const scopes = [...new Set([].concat(value || []).flatMap(scope => String(scope).split(',')).map(scope => scope.trim()).filter(Boolean))];
+  return scopes.every(scope => SCOPES.includes(scope)) ? scopes : null;
+}
+
+// Express middleware setting req.auth = { type, scopes, keyId }; rejects unknown keys
+function authMiddleware({ tokenStore }) {
+  return async (req, res, next) => {
+    try {
+      if (req.sessionType !== 'api-key') {
+        req.auth = { type: 'browser', scopes: BROWSER_SCOPES };
+        return next();
+      }
+
+      const hash = req.sessionId.slice('key:'.length);
+      if (process.env.ADMIN_API_KEY && hash === hashApiKey(process.env.ADMIN_API_KEY)) {
+        req.auth = { type: 'api-key', keyId: 'admin', scopes: ['admin'] };
+        return next();
+      }
+
+      if (process.env.CRON_SECRET && hash === hashApiKey(process.env.CRON_SECRET)) {
+        req.auth = { type: 'cron', keyId: 'cron', scopes: [] };
+        return next();
+      }
+
+      const apiKey = await tokenStore.getApiKey(hash);
+      if (apiKey) {
+        req.auth = { type: 'api-key', keyId: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+        return next();
+      }
+
+      res.status(401).json({
+        error: 'Invalid API key',
+        message: 'The API key is unknown or was revoked'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Route middleware requiring a scope
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req.auth?.scopes, scope)) {
+      return next();
+    }
+    res.status(403).json({
+      error: 'Insufficient scope',
+      message: `This route requires the ${scope} scope`,
+      required: scope,
+      granted: req.auth?.scopes || []
+    });
+  };
+}
+
+// Route middleware for browser requests that cannot be undone: the Origin (or
+// Referer) must be this host or one of `allowedOrigins`
+function requireSameOrigin({ allowedOrigins = [] } = {}) {
+  return (req, res, next) => {
+    if (req.auth?.type !== 'browser') {
+      return next();
+    }
+    let source = null;
+    try {
+      source = new URL(req.get('origin') || req.get('referer'));
+    } catch (error) {
+      // Missing or malformed, rejected below
+    }
+    if (source && (source.host === req.get('host') || allowedOrigins.includes(source.origin))) {
+      return next();
+    }
+    res.status(403).json({
+      error: 'Cross-site request rejected',
+      message: 'This request must come from a page of this app'
+    });
+  };
+}
+
+// Route middleware for scheduled jobs: the cron secret or an admin key
+function requireCron() {
+  return (req, res, next) => {
+    if (req.auth?.type === 'cron' || hasScope(req.auth?.scopes, 'admin')) {
+      return next();
+    }
+    res.status(401).json({
+      error: 'Cron authentication required',
+      message: 'Send CRON_SECRET as a bearer token, or use an admin API key'
+    });
+  };
+}
+
+module.exports = {
+  SCOPES,
+  hasScope,
+  parseScopes,
+  authMiddleware,
+  requireScope,
+  requireSameOrigin,
+  requireCron
+};
@@ -0,0 +1,190 @@
+const { validateProperties } = require('./validation');
+
+// Batch import through the CRM v3 batch endpoints, 100 inputs per call.
+// Every row ends up success, failed or skipped; a chunk HubSpot rejects as a
+// whole is split in half until the failing rows are isolated.
+
+const BATCH_SIZE = 100;
+const MAX_IMPORT_ROWS = 10000;
+const IMPORT_MODES = ['create', 'update', 'upsert'];
+
+// Input record -> { id, properties }, from { id, properties } or a flat CSV row
+function splitRecord(record) {
+  if (record && typeof record.properties === 'object' && record.properties !== null) {
+    return { id: record.id, properties: record.properties };
+  }
+  const { id, ...properties } = record || {};
+  return { id, properties };
+}
+
+// Validate rows, marking failed and skipped ones. Returns { row, key, properties } for the rest.
+function prepareRows(rows, { schema, mode, idProperty }) {
+  const seenKeys = new Set();
+  const pending = [];
+
+  for (const row of rows) {
+    const { id, properties: raw } = splitRecord(row.record);
+
+    // Blank CSV cells mean "not given" here, not "clear the value"
+    const properties = Object.fromEntries(Object.entries(raw || {})
+      .filter(([, value]) => value !== '' && value !== null && value !== undefined));
+
+    if (Object.keys(properties).length === 0) {
+      Object.assign(row, { status: 'skipped', reason: 'No properties' });
+      continue;
+    }
+
+    const result = validateProperties(schema, properties);
+    if (result.errors.length > 0) {
+      Object.assign(row, { status: 'failed', error: result.errors.join('; ') });
+      continue;
+    }
+
+    // The record key: the id for updates, the idProperty value for upserts
+    let key = null;
+    if (mode === 'update') {
+      key = id !== undefined && id !== '' ? String(id) : null;
+      if (key === null) {
+        Object.assign(row, { status: 'failed', error: 'id is required to update a record' });
+        continue;
+      }
+    } else if (mode === 'upsert') {
+      key = result.properties[idProperty] || null;
+      if (key === null) {
+        Object.assign(row, { status: 'failed', error: `${idProperty} is required to upsert a record` });
+        continue;
+      }
+    } else if (result.properties.email) {
+      key = result.properties.email;
+    }
+
+    if (key !== null) {
+      const normalisedKey = String(key).toLowerCase();
+      if (seenKeys.has(normalisedKey)) {
+        Object.assign(row, { status: 'skipped', reason: `Duplicate of an earlier row (${key})` });
+        continue;
+      }
+      seenKeys.add(normalisedKey);
+    }
+
+    pending.push({ row, key, properties: result.properties });
+  }
+
+  return pending;
+}
+
+function toInput(item, { mode, idProperty }) {
+  const traceId = String(item.row.row);
+  if (mode === 'create') {
+    return { properties: item.properties, objectWriteTraceId: traceId };
+  }
+  if (mode === 'update') {
+    return { id: item.key, idProperty: idProperty !== 'hs_object_id' ? idProperty : undefined, properties: item.properties, objectWriteTraceId: traceId };
+  }
+  return { idProperty, id: item.key, properties: item.properties, objectWriteTraceId: traceId };
+}
+
+// Match results and per-input errors of a batch response back to the rows
+function applyBatchResponse(chunk, data, { mode, idProperty }) {
+  const unmatched = new Set(chunk);
+  const byTrace = new Map(chunk.map(item => [String(item.row.row), item]));
+  const byKey = new Map(chunk.filter(item => item.key !== null).map(item => [String(item.key).toLowerCase(), item]));
+
+  const find = (result) => {
+    if (result.objectWriteTraceId && byTrace.has(String(result.objectWriteTraceId))) {
+      return byTrace.get(String(result.objectWriteTraceId));
+    }
+    const key = idProperty === 'hs_object_id' ? result.id : result.properties?.[idProperty];
+    return key !== undefined && key !== null ? byKey.get(String(key).toLowerCase()) : undefined;
+  };
+
+  const results = data.results || [];
+  results.forEach((result, index) => {
+    // batch/create does not always echo a key, fall back to input order
+    const item = find(result) || (results.length === chunk.length ? chunk[index] : undefined);
+    if (!item || !unmatched.has(item)) return;
+    unmatched.delete(item);
+    Object.assign(item.row, { status: 'success', id: result.id, created: mode === 'create' || (mode === 'upsert' && !!result.new) });
+  });
+
+  for (const error of data.errors || []) {
+    const context = error.context || {};
+    const keys = [...(context.objectWriteTraceId || []), ...(context.ids || [])].map(value => String(value).toLowerCase());
+    const items = [...unmatched].filter(item => keys.includes(String(item.row.row)) || (item.key !== null && keys.includes(String(item.key).toLowerCase())));
+    for (const item of items) {
+      unmatched.delete(item);
+      Object.assign(item.row, { status: 'failed', error: error.message, category: error.category });
+    }
+  }
+
+  // Errors that could not be tied to an input apply to what is left
+  const fallback = (data.errors || [])[0];
+  for (const item of unmatched) {
+    Object.assign(item.row, fallback
+      ? { status: 'failed', error: fallback.message, category: fallback.category }
+      : { status: 'failed', error: 'HubSpot did not return a result for this row' });
+  }
+}
+
+// Send one chunk, splitting it when HubSpot rejects the whole batch
+async function sendChunk(hubspot, objectType, chunk, options) {
+  try {
+    const data = await hubspot.post(`/crm/v3/objects/${encodeURIComponent(objectType)}/batch/${options.mode}`, {
+      inputs: chunk.map(item => toInput(item, options))
+    }, { idempotent: options.mode !== 'create' });
+    applyBatchResponse(chunk, data, options);
+    return 1;
+  } catch (error) {
+    const status = error.response?.status;
+    if (!status || status === 401 || status === 429 || status >= 500) {
+      throw error;
+    }
+    if (chunk.length === 1) {
+      Object.assign(chunk[0].row, {
+        status: 'failed',
+        error: error.response.data?.message || error.message,
+        category: error.response.data?.category
+      });
+      return 1;
+    }
+    const middle = Math.ceil(chunk.length / 2);
+    return 1 + await sendChunk(hubspot, objectType, chunk.slice(0, middle), options)
+      + await sendChunk(hubspot, objectType, chunk.slice(middle), options);
+  }
+}
+
+function summarise(rows) {
+  const counts = { total: rows.length, success: 0, failed: 0, skipped: 0, pending: 0 };
+  for (const row of rows) {
+    counts[row.status || 'pending']++;
+  }
+  return counts;
+}
+
+// Import `records` ([{ line, record }]) matched on idProperty. `onProgress`
+// gets the rows after each chunk. Resolves to { rows, counts, calls }.
+async function runBatchImport({ hubspot, schema, objectType, records, mode, idProperty, onProgress }) {
+  const rows = records.map((entry, index) => ({ row: index + 1, line: entry.line, status: null, record: entry.record }));
+
+  const options = { mode, idProperty };
+  const pending = prepareRows(rows, { schema, ...options });
+  let calls = 0;
+
+  for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+    calls += await sendChunk(hubspot, objectType, pending.slice(i, i + BATCH_SIZE), options);
+    if (onProgress) {
+      await onProgress(rows.map(({ record, ...row }) => row), { batchesDone: Math.floor(i / BATCH_SIZE) + 1, batches: Math.ceil(pending.length / BATCH_SIZE) });
+    }
+  }
+
+  const report = rows.map(({ record, ...row }) => row);
+  return { rows: report, counts: summarise(report), calls };
+}
+
+module.exports = {
+  BATCH_SIZE,
+  MAX_IMPORT_ROWS,
+  IMPORT_MODES,
+  runBatchImport,
+  summarise
+};
@@ -0,0 +1,78 @@
+// Minimal RFC 4180 CSV parser for imports: quoted fields, escaped quotes
+// ("") and newlines inside quotes. The first row is the header.
+
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Returns { columns, records }; blank lines are dropped and `line` counts the
+// header as line 1
+function parseCsv(text) {
+  const rows = parseRows(String(text).replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    return { columns: [], records: [] };
+  }
+
+  const columns = rows[0].map(column => column.trim());
+  const records = [];
+  rows.slice(1).forEach((row, index) => {
+    if (row.length === 1 && row[0] === '') return;
+    if (row.length > columns.length) {
+      throw new Error(`Line ${index + 2} has ${row.length} fields, the header has ${columns.length}`);
+    }
+    const record = {};
+    columns.forEach((column, columnIndex) => {
+      record[column] = row[columnIndex] ?? '';
+    });
+    records.push({ line: index + 2, record });
+  });
+
+  return { columns, records };
+}
+
+module.exports = {
+  parseCsv
+};
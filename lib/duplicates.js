@@ -0,0 +1,247 @@
+// Likely duplicate contacts: pairs sharing an email, phone or name are scored
+// on those and their company, and joined into groups.
+
+// Properties a scan reads
+const DUPLICATE_PROPERTIES = ['email', 'firstname', 'lastname', 'phone', 'mobilephone', 'company', 'createdate', 'lastmodifieddate'];
+
+const WEIGHTS = {
+  email: 0.9,
+  phone: 0.7,
+  name: 0.5,
+  company: 0.4,
+  domain: 0.3
+};
+// Applied to the score of contacts whose first names clearly differ
+const DIFFERENT_FIRST_NAME_FACTOR = 0.4;
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+// Keys shared by more contacts than this say little and make the scan quadratic
+const MAX_BLOCK_SIZE = 50;
+
+// Mailbox providers whose domain says nothing about the company
+const FREE_EMAIL_DOMAINS = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'gmx.de', 'web.de', 'yandex.com', 'mail.com'];
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|sas|sarl|bv|nv|plc|pty|oy|ab|srl|spa)\b/g;
+
+function stripAccents(value) {
+  return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// jane.doe+news@GoogleMail.com -> janedoe@gmail.com
+function normalizeEmail(value) {
+  const email = String(value || '').trim().toLowerCase();
+  const at = email.lastIndexOf('@');
+  if (at < 1) return null;
+  let local = email.slice(0, at).split('+')[0];
+  let domain = email.slice(at + 1);
+  if (domain === 'googlemail.com') domain = 'gmail.com';
+  if (domain === 'gmail.com') local = local.replace(/\./g, '');
+  return local ? `${local}@${domain}` : null;
+}
+
+// The last 10 digits, or null for numbers too short to be specific
+function normalizePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+function normalizeText(value) {
+  return stripAccents(String(value || '').toLowerCase()).replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeCompany(value) {
+  return normalizeText(value).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim() || null;
+}
+
+// Dice coefficient over character bigrams, 0..1
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const bigrams = text => {
+    const result = new Map();
+    const compact = text.replace(/\s+/g, '');
+    for (let index = 0; index < compact.length - 1; index++) {
+      const bigram = compact.slice(index, index + 2);
+      result.set(bigram, (result.get(bigram) || 0) + 1);
+    }
+    return result;
+  };
+  const first = bigrams(a);
+  const second = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+  for (const [bigram, count] of first) {
+    overlap += Math.min(count, second.get(bigram) || 0);
+    total += count;
+  }
+  for (const count of second.values()) total += count;
+  return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+// The comparable form of a contact record
+function profileContact(record) {
+  const properties = record.properties || {};
+  const email = normalizeEmail(properties.email);
+  const domain = email ? email.split('@')[1] : null;
+  const firstname = normalizeText(properties.firstname);
+  const lastname = normalizeText(properties.lastname);
+  return {
+    id: String(record.id),
+    email,
+    domain: domain && !FREE_EMAIL_DOMAINS.includes(domain) ? domain : null,
+    phones: [...new Set([normalizePhone(properties.phone), normalizePhone(properties.mobilephone)].filter(Boolean))],
+    name: firstname && lastname ? `${firstname} ${lastname}` : null,
+    firstname,
+    company: normalizeCompany(properties.company),
+    record
+  };
+}
+
+// Score a pair of profiled contacts. Returns { confidence, reasons }.
+function scorePair(a, b) {
+  const reasons = [];
+  if (a.email && a.email === b.email) {
+    reasons.push({ signal: 'email', weight: WEIGHTS.email });
+  }
+  if (a.phones.some(phone => b.phones.includes(phone))) {
+    reasons.push({ signal: 'phone', weight: WEIGHTS.phone });
+  }
+  if (a.name && a.name === b.name) {
+    reasons.push({ signal: 'name', weight: WEIGHTS.name });
+  }
+  const companySimilarity = similarity(a.company, b.company);
+  if (companySimilarity >= 0.8) {
+    reasons.push({ signal: 'company', weight: Number((WEIGHTS.company * companySimilarity).toFixed(2)), similarity: Number(companySimilarity.toFixed(2)) });
+  }
+  if (a.domain && a.domain === b.domain) {
+    reasons.push({ signal: 'domain', weight: WEIGHTS.domain });
+  }
+
+  let confidence = 1 - reasons.reduce((remaining, reason) => remaining * (1 - reason.weight), 1);
+  // Clearly different first names: more likely colleagues or relatives
+  if (a.firstname && b.firstname && similarity(a.firstname, b.firstname) < 0.5) {
+    confidence *= DIFFERENT_FIRST_NAME_FACTOR;
+    reasons.push({ signal: 'differentFirstName', factor: DIFFERENT_FIRST_NAME_FACTOR });
+  }
+  return { confidence: Number(confidence.toFixed(2)), reasons };
+}
+
+// Keys two contacts must share to be compared
+function blockingKeys(profile) {
+  return [
+    profile.email && `email:${profile.email}`,
+    ...profile.phones.map(phone => `phone:${phone}`),
+    profile.name && `name:${profile.name}`
+  ].filter(Boolean);
+}
+
+function countFilled(record) {
+  return Object.values(record.properties || {}).filter(value => value !== null && value !== '').length;
+}
+
+// The contact to keep: the most complete one, the oldest on a tie
+function suggestPrimary(members) {
+  return [...members].sort((a, b) => countFilled(b.record) - countFilled(a.record) ||
+    String(a.record.properties?.createdate || a.record.createdAt || '').localeCompare(String(b.record.properties?.createdate || b.record.createdAt || '')))[0].id;
+}
+
+// Group likely duplicates among `records`, most confident groups first
+function findDuplicates(records, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+  const profiles = records.map(profileContact);
+  const byId = new Map(profiles.map(profile => [profile.id, profile]));
+
+  const blocks = new Map();
+  for (const profile of profiles) {
+    for (const key of blockingKeys(profile)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(profile);
+    }
+  }
+
+  const compared = new Set();
+  const pairs = new Map();
+  for (const members of blocks.values()) {
+    if (members.length > MAX_BLOCK_SIZE) continue;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = [members[i], members[j]].sort((x, y) => x.id.localeCompare(y.id));
+        const key = `${a.id}:${b.id}`;
+        if (a.id === b.id || compared.has(key)) continue;
+        compared.add(key);
+        const score = scorePair(a, b);
+        if (score.confidence >= minConfidence) {
+          pairs.set(key, { ids: [a.id, b.id], ...score });
+        }
+      }
+    }
+  }
+
+  // Union-find over the strongest pairs first: a group's confidence is its weakest link
+  const parent = new Map();
+  const find = id => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const groupConfidence = new Map();
+  const sortedPairs = [...pairs.values()].sort((a, b) => b.confidence - a.confidence);
+  for (const pair of sortedPairs) {
+    for (const id of pair.ids) {
+      if (!parent.has(id)) parent.set(id, id);
+    }
+    const [rootA, rootB] = pair.ids.map(find);
+    if (rootA === rootB) continue;
+    parent.set(rootB, rootA);
+    groupConfidence.set(rootA, Math.min(groupConfidence.get(rootA) ?? 1, groupConfidence.get(rootB) ?? 1, pair.confidence));
+  }
+
+  const groups = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(byId.get(id));
+  }
+
+  return [...groups.entries()].map(([root, members]) => {
+    const ids = new Set(members.map(member => member.id));
+    return {
+      confidence: groupConfidence.get(root),
+      size: members.length,
+      suggestedPrimaryId: suggestPrimary(members),
+      contacts: members.map(member => member.record),
+      pairs: sortedPairs.filter(pair => ids.has(pair.ids[0]))
+    };
+  }).sort((a, b) => b.confidence - a.confidence || b.size - a.size);
+}
+
+// What merging `merged` into `primary` would give: the primary's values win,
+// empty ones are filled from the other. HubSpot's own merge rules may differ.
+function previewMerge(primary, merged) {
+  const properties = { ...(primary.properties || {}) };
+  const filled = [];
+  const conflicts = [];
+  for (const [name, value] of Object.entries(merged.properties || {})) {
+    if (value === null || value === '' || ['hs_object_id', 'createdate', 'lastmodifieddate'].includes(name)) continue;
+    const kept = properties[name];
+    if (kept === null || kept === undefined || kept === '') {
+      properties[name] = value;
+      filled.push(name);
+    } else if (String(kept) !== String(value)) {
+      conflicts.push({ property: name, kept, discarded: value });
+    }
+  }
+  return { properties, filled, conflicts };
+}
+
+module.exports = {
+  DUPLICATE_PROPERTIES,
+  DEFAULT_MIN_CONFIDENCE,
+  normalizeEmail,
+  normalizePhone,
+  normalizeCompany,
+  similarity,
+  profileContact,
+  scorePair,
+  findDuplicates,
+  previewMerge
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// AES-256-GCM encryption of tokens at rest, stored as { v, kid, iv, tag, data }.
+// TOKEN_ENCRYPTION_PREVIOUS_KEYS keeps rotated-out keys readable.
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 1;
+
+class IntegrityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.code = 'INTEGRITY_CHECK_FAILED';
+  }
+}
+
+function parseKey(value, name) {
+  const text = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} must be a 32-byte key, base64 or hex encoded`);
+  }
+  return key;
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+class TokenCipher {
+  constructor({ key, previousKeys = [] }) {
+    this.current = { id: keyId(key), key };
+    // key id -> key, for records written before a rotation
+    this.keys = new Map([[this.current.id, key], ...previousKeys.map(previous => [keyId(previous), previous])]);
+  }
+
+  get currentKeyId() {
+    return this.current.id;
+  }
+
+  isEncrypted(value) {
+    return !!value && typeof value === 'object' && value.v === FORMAT_VERSION && typeof value.data === 'string';
+  }
+
+  encrypt(value, aad = '') {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.current.key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return {
+      v: FORMAT_VERSION,
+      kid: this.current.id,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(envelope, aad = '') {
+    if (!this.isEncrypted(envelope)) {
+      throw new IntegrityError('Encrypted value is malformed');
+    }
+    const key = this.keys.get(envelope.kid);
+    if (!key) {
+      throw new IntegrityError(`Encrypted with unknown key ${envelope.kid}, add it to TOKEN_ENCRYPTION_PREVIOUS_KEYS`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAAD(Buffer.from(aad));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      return JSON.parse(data.toString('utf8'));
+    } catch (error) {
+      throw new IntegrityError('Encrypted value failed its integrity check (tampered with or wrong key)');
+    }
+  }
+}
+
+// Cipher from TOKEN_ENCRYPTION_KEY, or null when not set
+function createTokenCipher(env = process.env) {
+  if (!env.TOKEN_ENCRYPTION_KEY) {
+    if (env.NODE_ENV === 'production') {
+      logger.warn('TOKEN_ENCRYPTION_KEY is not set: OAuth tokens are stored unencrypted');
+    }
+    return null;
+  }
+
+  const previousKeys = (env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '').split(',')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .map(value => parseKey(value, 'TOKEN_ENCRYPTION_PREVIOUS_KEYS'));
+  return new TokenCipher({ key: parseKey(env.TOKEN_ENCRYPTION_KEY, 'TOKEN_ENCRYPTION_KEY'), previousKeys });
+}
+
+module.exports = {
+  IntegrityError,
+  TokenCipher,
+  createTokenCipher
+};
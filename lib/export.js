@@ -0,0 +1,204 @@
+const { PassThrough } = require('stream');
+const { finished } = require('stream/promises');
+const ExcelJS = require('exceljs');
+
+// Streaming CSV / NDJSON / XLSX export of CRM records, written page by page.
+// The CSV/XLSX columns are those of the first page; later keys are reported
+// as droppedColumns. Paging details go out as headers for one-page exports,
+// otherwise as trailers and repeated at the end of the body.
+
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Returns the requested format, 'json' when not set, or null if unsupported
+function parseFormat(value) {
+  if (!value) return 'json';
+  const format = String(value).toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+// { id, properties: { ... }, associations: { companies: { results: [...] } } }
+// -> { id, email, ..., createdAt, updatedAt, archived, 'associations.companies': '1;2' }
+function flattenRecord(record) {
+  const row = { id: record.id };
+  Object.assign(row, record.properties || {});
+
+  if (record.createdAt !== undefined) row.createdAt = record.createdAt;
+  if (record.updatedAt !== undefined) row.updatedAt = record.updatedAt;
+  if (record.archived !== undefined) row.archived = record.archived;
+
+  for (const [type, association] of Object.entries(record.associations || {})) {
+    row[`associations.${type}`] = (association.results || []).map(item => item.id).join(';');
+  }
+  return row;
+}
+
+// Quote CSV values when needed and defuse values that look like formulas
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class ExportWriter {
+  constructor(res, { format, filename, columns = [] }) {
+    this.res = res;
+    this.format = format;
+    this.filename = `${filename}.${format}`;
+    this.preferredColumns = columns;
+    this.columns = null;
+    this.droppedColumns = new Set();
+    this.count = 0;
+    this.summarySent = false;
+  }
+
+  // Send headers and the header row. `summary` is set when these rows are all.
+  start(rows, summary = null) {
+    const seen = new Set(this.preferredColumns);
+    for (const row of rows) {
+      Object.keys(row).forEach(key => seen.add(key));
+    }
+    this.columns = [...seen];
+
+    this.res.status(200);
+    this.res.set({
+      'Content-Type': CONTENT_TYPES[this.format],
+      'Content-Disposition': `attachment; filename="${this.filename}"`
+    });
+    if (summary) {
+      this.summarySent = true;
+      this.res.set({
+        'X-Export-Count': String(summary.count),
+        'X-Export-Truncated': String(summary.truncated),
+        'X-Next-After': summary.after || ''
+      });
+    } else {
+      this.res.set('Trailer', 'X-Export-Count, X-Export-Truncated, X-Next-After, X-Export-Dropped-Columns');
+    }
+
+    if (this.format === 'xlsx') {
+      // Through a PassThrough, so trailers can be added before the response ends
+      this.xlsxStream = new PassThrough();
+      this.xlsxStream.pipe(this.res, { end: false });
+      this.workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: this.xlsxStream, useStyles: false, useSharedStrings: false });
+      this.sheet = this.workbook.addWorksheet('export');
+      this.sheet.columns = this.columns.map(key => ({ header: key, key }));
+      return;
+    }
+
+    if (this.format === 'csv') {
+      return this.send(this.columns.map(csvValue).join(',') + '\r\n');
+    }
+  }
+
+  // Wait for a full stream to drain, or for the client to go away
+  async drain(stream) {
+    if (!stream.writableNeedDrain) return;
+    await new Promise(resolve => {
+      const done = () => {
+        stream.off('drain', done);
+        this.res.off('close', done);
+        resolve();
+      };
+      stream.once('drain', done);
+      this.res.once('close', done);
+    });
+  }
+
+  async send(chunk) {
+    this.res.write(chunk);
+    await this.drain(this.res);
+  }
+
+  // Write flattened rows. `summary` comes with a first page that is also the last.
+  async write(rows, summary = null) {
+    if (!this.columns) {
+      await this.start(rows, summary);
+    }
+    this.count += rows.length;
+    if (this.format !== 'ndjson') {
+      for (const row of rows) {
+        Object.keys(row).filter(key => !this.columns.includes(key)).forEach(key => this.droppedColumns.add(key));
+      }
+    }
+
+    if (this.format === 'xlsx') {
+      for (const row of rows) {
+        this.sheet.addRow(this.columns.map(key => {
+          const value = row[key];
+          return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        })).commit();
+      }
+      // The workbook ignores the PassThrough's backpressure, so wait here
+      await this.drain(this.xlsxStream);
+      return;
+    }
+
+    const lines = rows.map(row => this.format === 'csv'
+      ? this.columns.map(key => csvValue(row[key])).join(',') + '\r\n'
+      : JSON.stringify(row) + '\n');
+    if (lines.length > 0) {
+      await this.send(lines.join(''));
+    }
+  }
+
+  async end({ after = null, truncated = false } = {}) {
+    if (!this.columns) {
+      await this.start([], { count: 0, truncated, after });
+    }
+    const summary = { count: this.count, truncated, nextAfter: after };
+    if (this.droppedColumns.size > 0) {
+      summary.droppedColumns = [...this.droppedColumns].join(';');
+    }
+    const inBody = after || summary.droppedColumns;
+
+    if (this.format === 'xlsx') {
+      this.sheet.commit();
+      if (inBody) {
+        const info = this.workbook.addWorksheet('export-info');
+        Object.entries(summary).forEach(([key, value]) => info.addRow([key, value]).commit());
+        info.commit();
+      }
+      await this.workbook.commit();
+      await finished(this.xlsxStream);
+    } else if (inBody) {
+      await this.send(this.format === 'csv'
+        ? `# export ${Object.entries(summary).map(([key, value]) => `${key}=${value ?? ''}`).join(' ')}\r\n`
+        : JSON.stringify({ _export: summary }) + '\n');
+    }
+
+    if (!this.summarySent) {
+      this.res.addTrailers({
+        'X-Export-Count': String(this.count),
+        'X-Export-Truncated': String(truncated),
+        'X-Next-After': after || '',
+        'X-Export-Dropped-Columns': summary.droppedColumns || ''
+      });
+    }
+    this.res.end();
+  }
+
+  // Once streaming has started a failure can only abort the response
+  get started() {
+    return this.columns !== null;
+  }
+
+  abort(error) {
+    this.res.destroy(error);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseFormat,
+  flattenRecord,
+  ExportWriter
+};
@@ -0,0 +1,435 @@
+const axios = require('axios');
+const { logger } = require('./logger');
+const { recordHubSpotCall, recordTokenRefresh } = require('./metrics');
+
+// Single entry point for HubSpot API calls: token refresh, one retry on 401,
+// rate-limit backoff, metrics and a log entry per call. Errors are axios errors.
+
+const REFRESH_MARGIN = 5 * 60 * 1000; // refresh 5 minutes before expiry
+const MAX_RETRIES = 3;
+const BASE_BACKOFF = 500;
+const MAX_BACKOFF = 10 * 1000;
+const IDEMPOTENT_METHODS = ['get', 'head', 'put', 'delete', 'options'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function headerNumber(headers, name) {
+  const value = headers && headers[name.toLowerCase()];
+  const number = parseInt(value);
+  return isNaN(number) ? null : number;
+}
+
+// Refresh token revoked or app uninstalled; other 400s are not the portal's fault
+function isRevokedTokenResponse(response) {
+  if (!response || response.status !== 400) return false;
+  const data = response.data || {};
+  return data.status === 'BAD_REFRESH_TOKEN' || data.error === 'invalid_grant';
+}
+
+class RefreshError extends Error {
+  constructor(message, { portalId, cause, revoked = false } = {}) {
+    super(message);
+    this.name = 'RefreshError';
+    this.code = revoked ? 'REFRESH_TOKEN_REVOKED' : 'REFRESH_FAILED';
+    this.portalId = portalId;
+    this.cause = cause;
+    this.revoked = revoked;
+  }
+}
+
+class HubSpotClient {
+  constructor({ tokenStore, baseUrl, clientId, clientSecret, maxRetries = MAX_RETRIES } = {}) {
+    this.tokenStore = tokenStore;
+    this.baseUrl = (baseUrl || 'https://api.hubapi.com').replace(/\/$/, '');
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.maxRetries = maxRetries;
+
+    // portalId -> in-flight refresh promise
+    this.refreshes = new Map();
+    // portalId -> latest token record, so a stale copy never sends a replaced token
+    this.latest = new Map();
+    // portalId -> rate-limit state from the last response headers
+    this.rateLimits = new Map();
+
+    this.metrics = {
+      calls: 0,
+      failures: 0,
+      byStatus: {},
+      retries: 0,
+      rateLimited: 0,
+      throttleWaits: 0,
+      totalLatencyMs: 0,
+      refreshes: { success: 0, failure: 0, deduped: 0 },
+      lastCallAt: null,
+      lastSuccessfulCallAt: null,
+      lastRefresh: null
+    };
+  }
+
+  // Client bound to one portal, the object routes use through req.hubspot
+  forPortal(portal) {
+    return new PortalClient(this, portal);
+  }
+
+  currentRecord(portal) {
+    const latest = this.latest.get(portal.portalId);
+    if (latest && (latest.updatedAt || '') >= (portal.updatedAt || '')) {
+      return latest;
+    }
+    return portal;
+  }
+
+  // Refresh the portal's access token. Concurrent callers share one request.
+  refresh(portal) {
+    const portalId = portal.portalId;
+    if (this.refreshes.has(portalId)) {
+      this.metrics.refreshes.deduped++;
+      return this.refreshes.get(portalId);
+    }
+
+    const promise = this.doRefresh(this.currentRecord(portal)).finally(() => {
+      this.refreshes.delete(portalId);
+    });
+    this.refreshes.set(portalId, promise);
+    return promise;
+  }
+
+  async doRefresh(portal) {
+    if (!portal.refresh_token) {
+      this.metrics.refreshes.failure++;
+      recordTokenRefresh(false);
+      throw new RefreshError('No refresh token available', { portalId: portal.portalId });
+    }
+    if (portal.revokedAt) {
+      this.metrics.refreshes.failure++;
+      recordTokenRefresh(false);
+      throw new RefreshError('The refresh token was revoked, connect the portal again', { portalId: portal.portalId, revoked: true });
+    }
+
+    try {
+      const tokens = await this.exchangeRefreshToken(portal.refresh_token, portal.portalId);
+
+      // Reload before saving so fields changed elsewhere are not lost
+      const stored = (await this.tokenStore.getPortal(portal.portalId)) || portal;
+      const updated = await this.tokenStore.savePortal({
+        ...stored,
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token || portal.refresh_token,
+        expires_in: tokens.expires_in,
+        expiry_date: Date.now() + (tokens.expires_in * 1000)
+      });
+
+      this.latest.set(portal.portalId, updated);
+      this.metrics.refreshes.success++;
+      recordTokenRefresh(true);
+      this.metrics.lastRefresh = { portalId: portal.portalId, at: new Date().toISOString(), success: true };
+      logger.info('Token refreshed', { portalId: portal.portalId });
+      return updated;
+    } catch (error) {
+      this.metrics.refreshes.failure++;
+      recordTokenRefresh(false);
+      this.metrics.lastRefresh = { portalId: portal.portalId, at: new Date().toISOString(), success: false, error: error.message };
+      logger.error('Error refreshing token', { portalId: portal.portalId, error });
+
+      // Retrying a revoked refresh token cannot help
+      const revoked = isRevokedTokenResponse(error.response);
+      if (revoked) {
+        await this.flagRevoked(portal, error.response.data?.message || error.message);
+      }
+      throw new RefreshError(revoked ? 'The refresh token was revoked, connect the portal again' : 'Failed to refresh authentication token', {
+        portalId: portal.portalId,
+        cause: error,
+        revoked
+      });
+    }
+  }
+
+  async flagRevoked(portal, reason) {
+    try {
+      const stored = (await this.tokenStore.getPortal(portal.portalId)) || portal;
+      const updated = await this.tokenStore.savePortal({ ...stored, revokedAt: new Date().toISOString(), revokedReason: reason });
+      this.latest.set(portal.portalId, updated);
+      logger.warn('Refresh token rejected, portal flagged as revoked', { portalId: portal.portalId, reason });
+    } catch (error) {
+      logger.error('Error flagging portal as revoked', { portalId: portal.portalId, error });
+    }
+  }
+
+  // Returns a portal record whose access token is not about to expire
+  async ensureFreshToken(portal) {
+    const current = this.currentRecord(portal);
+    if (current.expiry_date && Date.now() >= current.expiry_date - REFRESH_MARGIN) {
+      return this.refresh(current);
+    }
+    return current;
+  }
+
+  // Wait out an exhausted rate-limit window before sending
+  async throttle(portalId) {
+    const state = this.rateLimits.get(portalId);
+    if (!state || state.remaining === null || state.remaining > 0) return;
+
+    const wait = state.resetAt - Date.now();
+    if (wait > 0) {
+      this.metrics.throttleWaits++;
+      await sleep(Math.min(wait, MAX_BACKOFF));
+    }
+  }
+
+  recordRateLimit(portalId, headers) {
+    const remaining = headerNumber(headers, 'x-hubspot-ratelimit-remaining');
+    const interval = headerNumber(headers, 'x-hubspot-ratelimit-interval-milliseconds');
+    const dailyRemaining = headerNumber(headers, 'x-hubspot-ratelimit-daily-remaining');
+    const secondlyRemaining = headerNumber(headers, 'x-hubspot-ratelimit-secondly-remaining');
+    if (remaining === null && dailyRemaining === null && secondlyRemaining === null) return;
+
+    const previous = this.rateLimits.get(portalId) || {};
+    this.rateLimits.set(portalId, {
+      max: headerNumber(headers, 'x-hubspot-ratelimit-max') ?? previous.max ?? null,
+      remaining: remaining ?? previous.remaining ?? null,
+      intervalMs: interval ?? previous.intervalMs ?? null,
+      resetAt: Date.now() + (interval || 1000),
+      daily: headerNumber(headers, 'x-hubspot-ratelimit-daily') ?? previous.daily ?? null,
+      dailyRemaining: dailyRemaining ?? previous.dailyRemaining ?? null,
+      secondly: headerNumber(headers, 'x-hubspot-ratelimit-secondly') ?? previous.secondly ?? null,
+      secondlyRemaining: secondlyRemaining ?? previous.secondlyRemaining ?? null,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  backoffDelay(error, attempt) {
+    const headers = error.response?.headers || {};
+    const retryAfter = headerNumber(headers, 'retry-after');
+    if (retryAfter !== null) {
+      return Math.min(retryAfter * 1000, MAX_BACKOFF);
+    }
+
+    // HubSpot's burst limits reset every interval (usually 10 seconds)
+    if (error.response?.status === 429 && headerNumber(headers, 'x-hubspot-ratelimit-remaining') === 0) {
+      const interval = headerNumber(headers, 'x-hubspot-ratelimit-interval-milliseconds');
+      if (interval) return Math.min(interval, MAX_BACKOFF);
+    }
+
+    const exponential = BASE_BACKOFF * 2 ** attempt;
+    return Math.min(exponential + Math.floor(Math.random() * BASE_BACKOFF), MAX_BACKOFF);
+  }
+
+  shouldRetry(error, config, attempt) {
+    if (attempt >= this.maxRetries) return false;
+    const status = error.response?.status;
+
+    // A 429 means HubSpot did not process the request, always safe to resend
+    if (status === 429) return true;
+
+    const idempotent = config.idempotent ?? IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase());
+    if (!idempotent) return false;
+    return !error.response || status >= 500;
+  }
+
+  // Send a request for a portal, url relative to the API base. config.idempotent
+  // allows 5xx retries on POSTs that only read. Resolves to the axios response.
+  async request(portal, config) {
+    let record = await this.ensureFreshToken(portal);
+    let refreshedAfter401 = false;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle(record.portalId);
+
+      const started = Date.now();
+      this.metrics.calls++;
+      this.metrics.lastCallAt = new Date(started).toISOString();
+
+      try {
+        const { idempotent, ...axiosConfig } = config;
+        const response = await axios.request({
+          ...axiosConfig,
+          url: config.url.startsWith('http') ? config.url : `${this.baseUrl}${config.url}`,
+          headers: {
+            ...config.headers,
+            'Authorization': `Bearer ${record.access_token}`
+          }
+        });
+
+        this.recordCall(response.status, started);
+        this.logCall(config, { portalId: record.portalId, started, attempt, response });
+        this.recordRateLimit(record.portalId, response.headers);
+        this.metrics.lastSuccessfulCallAt = new Date().toISOString();
+        return response;
+      } catch (error) {
+        const status = error.response?.status;
+        this.recordCall(status || 'network_error', started);
+        this.logCall(config, { portalId: record.portalId, started, attempt, error });
+        this.metrics.failures++;
+        if (error.response) {
+          this.recordRateLimit(record.portalId, error.response.headers);
+        }
+
+        // Token rejected: refresh once (unless another request just did) and retry
+        if (status === 401 && !refreshedAfter401) {
+          refreshedAfter401 = true;
+          const latest = this.currentRecord(record);
+          record = latest.access_token !== record.access_token ? latest : await this.refresh(record);
+          attempt--;
+          continue;
+        }
+
+        if (!this.shouldRetry(error, config, attempt)) {
+          throw error;
+        }
+
+        if (status === 429) this.metrics.rateLimited++;
+        this.metrics.retries++;
+        const delay = this.backoffDelay(error, attempt);
+        logger.info('Retrying HubSpot call', { portalId: record.portalId, route: config.url.split('?')[0], status: status || error.code, delayMs: delay });
+        await sleep(delay);
+      }
+    }
+  }
+
+  recordCall(status, started) {
+    this.metrics.byStatus[status] = (this.metrics.byStatus[status] || 0) + 1;
+    this.metrics.totalLatencyMs += Date.now() - started;
+  }
+
+  logCall(config, { portalId, started, attempt = 0, response, error }) {
+    const result = response || error?.response;
+    recordHubSpotCall({ method: config.method, url: config.url, status: result?.status || error?.code || 'error', latencyMs: Date.now() - started });
+    logger[error ? 'warn' : 'info'](error ? 'HubSpot call failed' : 'HubSpot call', {
+      portalId,
+      method: (config.method || 'get').toUpperCase(),
+      route: config.url.split('?')[0],
+      status: result?.status || error?.code,
+      latencyMs: Date.now() - started,
+      attempt: attempt > 0 ? attempt : undefined,
+      correlationId: result?.headers?.['x-hubspot-correlation-id'] || result?.data?.correlationId,
+      hubspotCategory: error ? result?.data?.category : undefined,
+      error: error ? error.message : undefined
+    });
+  }
+
+  // OAuth endpoints, called without a portal's access token
+  async oauthRequest(config, portalId) {
+    const started = Date.now();
+    try {
+      const response = await axios.request({ ...config, url: `${this.baseUrl}${config.url}` });
+      this.logCall(config, { portalId, started, response });
+      return response;
+    } catch (error) {
+      this.logCall(config, { portalId, started, error });
+      throw error;
+    }
+  }
+
+  // Exchange an OAuth authorization code for tokens
+  async exchangeCode(code, redirectUri) {
+    const response = await this.oauthRequest({
+      method: 'post',
+      url: '/oauth/v1/token',
+      data: new URLSearchParams({
+        grant_type: 'authorization_code',
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        redirect_uri: redirectUri,
+        code
+      })
+    });
+    return response.data;
+  }
+
+  // Trade a refresh token for a new access token, without storing anything
+  async exchangeRefreshToken(refreshToken, portalId) {
+    const response = await this.oauthRequest({
+      method: 'post',
+      url: '/oauth/v1/token',
+      data: new URLSearchParams({
+        grant_type: 'refresh_token',
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        refresh_token: refreshToken
+      })
+    }, portalId);
+
+    if (!response.data || !response.data.access_token) {
+      throw new Error('Token response did not include an access token');
+    }
+    return response.data;
+  }
+
+  // Token metadata (hub_id, hub_domain, user, scopes, ...)
+  async getTokenInfo(accessToken) {
+    const response = await this.oauthRequest({ method: 'get', url: `/oauth/v1/access-tokens/${encodeURIComponent(accessToken)}` });
+    return response.data;
+  }
+
+  // Revoke a refresh token. Resolves to false when HubSpot no longer knows it.
+  async revokeRefreshToken(refreshToken) {
+    try {
+      await this.oauthRequest({ method: 'delete', url: `/oauth/v1/refresh-tokens/${encodeURIComponent(refreshToken)}` });
+      return true;
+    } catch (error) {
+      if (error.response?.status === 400 || error.response?.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Forget cached state of a portal that was disconnected
+  forget(portalId) {
+    this.latest.delete(portalId);
+    this.rateLimits.delete(portalId);
+  }
+
+  getMetrics() {
+    const { calls, totalLatencyMs } = this.metrics;
+    return {
+      ...this.metrics,
+      byStatus: { ...this.metrics.byStatus },
+      refreshes: { ...this.metrics.refreshes, inFlight: this.refreshes.size },
+      averageLatencyMs: calls ? Math.round(totalLatencyMs / calls) : null,
+      rateLimits: Object.fromEntries(this.rateLimits)
+    };
+  }
+}
+
+// Client bound to one portal; the verb helpers resolve to the response body
+class PortalClient {
+  constructor(client, portal) {
+    this.client = client;
+    this.portal = portal;
+    this.portalId = portal.portalId;
+  }
+
+  request(config) {
+    return this.client.request(this.portal, config);
+  }
+
+  async get(url, options = {}) {
+    return (await this.request({ ...options, method: 'get', url })).data;
+  }
+
+  async post(url, data, options = {}) {
+    return (await this.request({ ...options, method: 'post', url, data })).data;
+  }
+
+  async put(url, data, options = {}) {
+    return (await this.request({ ...options, method: 'put', url, data })).data;
+  }
+
+  async patch(url, data, options = {}) {
+    return (await this.request({ ...options, method: 'patch', url, data })).data;
+  }
+
+  async delete(url, options = {}) {
+    return (await this.request({ ...options, method: 'delete', url })).data;
+  }
+}
+
+module.exports = {
+  HubSpotClient,
+  PortalClient,
+  RefreshError
+};
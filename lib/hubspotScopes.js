@@ -0,0 +1,105 @@
+// HubSpot OAuth scopes (not the API key scopes of lib/auth.js): what each
+// capability needs, so routes can report a missing scope with a consent URL
+
+// Base scope every install flow includes
+const BASE_SCOPE = 'oauth';
+
+// What the connector can do, and the scopes each capability needs
+const CAPABILITIES = [
+  { name: 'contacts.read', description: 'Read and search contacts', scopes: ['crm.objects.contacts.read'] },
+  { name: 'contacts.write', description: 'Create, update, import and archive contacts', scopes: ['crm.objects.contacts.write', 'crm.schemas.contacts.read'] },
+  { name: 'contacts.schema', description: 'Read contact properties', scopes: ['crm.schemas.contacts.read'] },
+  { name: 'companies.schema', description: 'Read company properties', scopes: ['crm.schemas.companies.read'] },
+  { name: 'deals.schema', description: 'Read deal properties', scopes: ['crm.schemas.deals.read'] },
+  { name: 'contacts.timeline', description: 'Read the notes, calls, meetings and tasks on contact timelines', scopes: ['crm.objects.contacts.read'] },
+  { name: 'emails.read', description: 'Read logged emails on contact timelines', scopes: ['sales-email-read'] },
+  { name: 'lists.read', description: 'Read lists and list members', scopes: ['crm.lists.read'] },
+  { name: 'companies.read', description: 'Read companies', scopes: ['crm.objects.companies.read'] },
+  { name: 'deals.read', description: 'Read deals', scopes: ['crm.objects.deals.read'] },
+  { name: 'tickets.read', description: 'Read tickets', scopes: ['tickets'] },
+  { name: 'custom.read', description: 'Read custom object records', scopes: ['crm.objects.custom.read'] },
+  { name: 'custom.schemas', description: 'Discover custom object types', scopes: ['crm.schemas.custom.read'] }
+];
+
+// Scopes needed to read records of a standard object
+const OBJECT_READ_SCOPES = {
+  contacts: ['crm.objects.contacts.read'],
+  companies: ['crm.objects.companies.read'],
+  deals: ['crm.objects.deals.read'],
+  tickets: ['tickets'],
+  products: ['e-commerce'],
+  line_items: ['e-commerce'],
+  quotes: ['crm.objects.quotes.read'],
+  emails: ['sales-email-read']
+};
+
+// Scopes needed to read property definitions, where HubSpot has a schema scope
+const OBJECT_SCHEMA_SCOPES = {
+  contacts: ['crm.schemas.contacts.read'],
+  companies: ['crm.schemas.companies.read'],
+  deals: ['crm.schemas.deals.read']
+};
+
+// Scopes a consent URL may ask for
+const KNOWN_SCOPES = [...new Set([
+  BASE_SCOPE,
+  ...CAPABILITIES.flatMap(capability => capability.scopes),
+  ...Object.values(OBJECT_READ_SCOPES).flat(),
+  ...Object.values(OBJECT_SCHEMA_SCOPES).flat()
+])];
+
+// Read scopes for a resolved object type ({ name, custom })
+function objectReadScopes(objectType) {
+  if (objectType.custom) return ['crm.objects.custom.read'];
+  return OBJECT_READ_SCOPES[objectType.name] || [];
+}
+
+// Property definition scopes for a resolved object type ({ name, custom })
+function objectSchemaScopes(objectType) {
+  if (objectType.custom) return ['crm.schemas.custom.read'];
+  return OBJECT_SCHEMA_SCOPES[objectType.name] || objectReadScopes(objectType);
+}
+
+function missingScopes(granted, required) {
+  return required.filter(scope => !(granted || []).includes(scope));
+}
+
+// Install flow URL asking for just `scopes`, for the same portal
+function consentUrl(scopes, { portalId, returnTo } = {}) {
+  const params = new URLSearchParams({ scope: scopes.join(' ') });
+  if (portalId) params.set('portalId', portalId);
+  if (returnTo) params.set('returnTo', returnTo);
+  return `/auth/hubspot?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+// Scopes named in a HubSpot MISSING_SCOPES error, or [] when it does not say
+function scopesFromError(error) {
+  const data = error.response?.data || {};
+  const contexts = [data.context, ...(data.errors || []).map(detail => detail.context)].filter(Boolean);
+  return [...new Set(contexts.flatMap(context => context.requiredScopes || context.requiredGranularScopes || []))];
+}
+
+// Capabilities of a connection given its granted scopes
+function describeCapabilities(granted, { portalId } = {}) {
+  return CAPABILITIES.map(capability => {
+    const missing = missingScopes(granted, capability.scopes);
+    return {
+      ...capability,
+      available: missing.length === 0,
+      missingScopes: missing,
+      consentUrl: missing.length > 0 ? consentUrl(missing, { portalId, returnTo: '/api/hubspot/capabilities' }) : undefined
+    };
+  });
+}
+
+module.exports = {
+  BASE_SCOPE,
+  CAPABILITIES,
+  KNOWN_SCOPES,
+  objectReadScopes,
+  objectSchemaScopes,
+  missingScopes,
+  consentUrl,
+  scopesFromError,
+  describeCapabilities
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+// Background jobs on top of a storage backend, with row reports in pages:
+//   job:<id>              -> { id, type, portalId, status, rowPages, ... }
+//   jobrows:<id>:<page>   -> [row, ...]
+// A job not updated for STALE_AFTER is reported failed (its instance stopped).
+
+const JOB_TTL = 24 * 60 * 60 * 1000;
+const STALE_AFTER = 5 * 60 * 1000;
+const ROWS_PAGE_SIZE = 500;
+
+class JobStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async create(type, portalId, fields = {}) {
+    await this.prune();
+    const job = {
+      id: crypto.randomBytes(12).toString('hex'),
+      type,
+      portalId: String(portalId),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      ...fields,
+      updatedAt: new Date().toISOString()
+    };
+    await this.storage.set(`job:${job.id}`, job);
+    return job;
+  }
+
+  async get(id) {
+    if (!id) return null;
+    const job = await this.storage.get(`job:${id}`);
+    if (job && ['queued', 'running'].includes(job.status) && Date.parse(job.updatedAt) < Date.now() - STALE_AFTER) {
+      return this.update(job, {
+        status: 'failed',
+        stale: true,
+        error: 'The job stopped reporting progress, the instance running it was probably stopped. Rows without a status were not imported.',
+        finishedAt: new Date().toISOString()
+      });
+    }
+    return job;
+  }
+
+  async update(job, fields) {
+    const updated = { ...job, ...fields, updatedAt: new Date().toISOString() };
+    await this.storage.set(`job:${job.id}`, updated);
+    return updated;
+  }
+
+  // Save a job's row report, skipping pages unchanged since `written`, the
+  // value the previous call resolved to
+  async saveRows(job, rows, written = new Map()) {
+    for (let page = 0; page * ROWS_PAGE_SIZE < rows.length; page++) {
+      const slice = rows.slice(page * ROWS_PAGE_SIZE, (page + 1) * ROWS_PAGE_SIZE);
+      const serialised = JSON.stringify(slice);
+      if (written.get(page) === serialised) continue;
+      await this.storage.set(`jobrows:${job.id}:${page}`, slice);
+      written.set(page, serialised);
+    }
+    return written;
+  }
+
+  // The per-row report of a job, optionally only rows with one of `statuses`
+  async getRows(job, { statuses = [] } = {}) {
+    const rows = [];
+    for (let page = 0; page < (job.rowPages || 0); page++) {
+      rows.push(...((await this.storage.get(`jobrows:${job.id}:${page}`)) || []));
+    }
+    return statuses.length ? rows.filter(row => statuses.includes(row.status)) : rows;
+  }
+
+  async delete(id) {
+    for (const key of await this.storage.keys(`jobrows:${id}:`)) {
+      await this.storage.delete(key);
+    }
+    await this.storage.delete(`job:${id}`);
+  }
+
+  async prune() {
+    const cutoff = Date.now() - JOB_TTL;
+    for (const key of await this.storage.keys('job:')) {
+      const job = await this.storage.get(key);
+      if (!job || Date.parse(job.updatedAt) < cutoff) {
+        await this.delete(key.slice('job:'.length));
+      }
+    }
+  }
+}
+
+module.exports = JobStore;
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// One-time import of hubspot-tokens.json, the single connection kept before
+// tokens were stored per portal. The portal is bound to no session, and the
+// file is renamed to .imported once done.
+
+const LEGACY_TOKEN_PATH = path.join(__dirname, '..', 'hubspot-tokens.json');
+
+// Resolves to the imported portal id, or null when there was nothing to import
+async function importLegacyTokens({ tokenStore, hubspot, filePath = LEGACY_TOKEN_PATH }) {
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    const tokens = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!tokens || !tokens.refresh_token) {
+      logger.warn('Legacy token file has no refresh token, not importing it', { filePath });
+      return null;
+    }
+
+    let current = tokens;
+    if (!tokens.access_token || !tokens.expiry_date || tokens.expiry_date <= Date.now() + 60 * 1000) {
+      const refreshed = await hubspot.exchangeRefreshToken(tokens.refresh_token);
+      current = {
+        access_token: refreshed.access_token,
+        refresh_token: refreshed.refresh_token || tokens.refresh_token,
+        expiry_date: Date.now() + (refreshed.expires_in * 1000)
+      };
+    }
+
+    const tokenInfo = await hubspot.getTokenInfo(current.access_token);
+    const portalId = String(tokenInfo.hub_id);
+    // A connection made since then is newer than the file
+    if (await tokenStore.getPortal(portalId)) {
+      logger.info('Legacy tokens are for a portal already connected, skipping them', { portalId });
+    } else {
+      await tokenStore.savePortal({
+        portalId,
+        hubDomain: tokenInfo.hub_domain,
+        user: tokenInfo.user,
+        userId: tokenInfo.user_id,
+        appId: tokenInfo.app_id,
+        scopes: tokenInfo.scopes,
+        access_token: current.access_token,
+        refresh_token: current.refresh_token,
+        expiry_date: current.expiry_date
+      });
+      logger.info('Imported legacy tokens', { portalId, hubDomain: tokenInfo.hub_domain });
+    }
+
+    fs.renameSync(filePath, `${filePath}.imported`);
+    return portalId;
+  } catch (error) {
+    logger.error('Error importing legacy tokens, will retry on the next start', { filePath, error });
+    return null;
+  }
+}
+
+module.exports = {
+  LEGACY_TOKEN_PATH,
+  importLegacyTokens
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured JSON logging, one line per entry, at LOG_LEVEL and above. Entries
+// carry the request id and have tokens and secrets redacted.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SECRET_KEY_PATTERN = /token|secret|password|authorization|cookie|api[-_]?key|signature|^code$|^state$/i;
+
+// Secrets inside strings: OAuth parameters, bearer tokens, token URLs, API keys
+const SECRET_PATTERNS = [
+  [/([?&](?:code|state|access_token|refresh_token|client_secret|token)=)[^&\s"]+/gi, `$1${REDACTED}`],
+  [/(Bearer\s+)[\w.~+/=-]+/gi, `$1${REDACTED}`],
+  [/(\/oauth\/v1\/(?:access|refresh)-tokens\/)[^/?\s"]+/gi, `$1${REDACTED}`],
+  [/hsc_[\w-]+/g, REDACTED]
+];
+
+const context = new AsyncLocalStorage();
+
+function redactString(value) {
+  return SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactString(error.message || ''),
+    errorCode: error.code,
+    status: error.response?.status,
+    hubspotCategory: error.response?.data?.category,
+    correlationId: error.response?.data?.correlationId || error.response?.headers?.['x-hubspot-correlation-id']
+  };
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object') return value;
+  if (depth > 5) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === undefined) continue;
+    result[key] = SECRET_KEY_PATTERN.test(key) && field !== null && typeof field !== 'boolean' ? REDACTED : redact(field, depth + 1);
+  }
+  return result;
+}
+
+class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+  }
+
+  get minimumLevel() {
+    return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+  }
+
+  // Logger that adds `fields` to every entry
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields });
+  }
+
+  write(level, message, fields) {
+    if (LEVELS[level] < this.minimumLevel) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(String(message)),
+      ...redact({ ...context.getStore(), ...this.fields, ...fields })
+    };
+    const line = JSON.stringify(entry);
+    if (LEVELS[level] >= LEVELS.warn) {
+      process.stderr.write(`${line}\n`);
+    } else {
+      process.stdout.write(`${line}\n`);
+    }
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+}
+
+const logger = new Logger();
+
+// Ids from the caller (a proxy or another service) are kept when they look sane
+function requestId(req) {
+  const incoming = req.get('x-request-id');
+  return incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+// Express middleware: sets req.id (X-Request-Id), logs with it and logs the outcome
+function requestMiddleware() {
+  return (req, res, next) => {
+    req.id = requestId(req);
+    res.setHeader('X-Request-Id', req.id);
+    const started = Date.now();
+
+    res.on('finish', () => {
+      const status = res.statusCode;
+      logger.write(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', 'Request completed', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl,
+        status,
+        durationMs: Date.now() - started,
+        auth: req.auth?.type,
+        keyId: req.auth?.keyId || undefined,
+        portalId: req.portal?.portalId
+      });
+    });
+
+    context.run({ requestId: req.id }, next);
+  };
+}
+
+module.exports = {
+  logger,
+  requestMiddleware,
+  redact
+};
@@ -0,0 +1,285 @@
+// Mapping profiles, stored as mapping:<portalId>:<name>, reshape CRM records for
+// ?mapping=<name>. A profile is { objectType, fields: [{ to, from | template,
+// join, type, default }], passthrough, drop }.
+
+const NAME_PATTERN = /^[\w.-]{1,64}$/;
+const TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'datetime', 'label', 'array'];
+const RECORD_FIELDS = ['id', 'createdAt', 'updatedAt', 'archived'];
+const TEMPLATE_PLACEHOLDER = /\{([\w.-]+)\}/g;
+
+function isValidName(name) {
+  return NAME_PATTERN.test(String(name || ''));
+}
+
+function templateSources(template) {
+  return [...template.matchAll(TEMPLATE_PLACEHOLDER)].map(match => match[1]);
+}
+
+// The record fields and properties a field definition reads
+function fieldSources(field) {
+  if (field.template) return templateSources(field.template);
+  return [].concat(field.from);
+}
+
+// Check a profile sent by a client. Returns { errors, profile }.
+function validateProfile(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['Send the profile as a JSON object'], profile: null };
+  }
+
+  const fields = Array.isArray(input.fields) ? input.fields : [];
+  if (fields.length === 0) {
+    errors.push('fields must be a non-empty array');
+  }
+
+  const seen = new Set();
+  const normalised = fields.map((field, index) => {
+    const where = `fields[${index}]`;
+    if (!field || typeof field !== 'object') {
+      errors.push(`${where} must be an object`);
+      return null;
+    }
+    if (typeof field.to !== 'string' || !field.to) {
+      errors.push(`${where}.to must be a non-empty string`);
+    } else if (seen.has(field.to)) {
+      errors.push(`${where}.to ${field.to} is mapped more than once`);
+    }
+    seen.add(field.to);
+
+    const from = [].concat(field.from ?? []);
+    if (field.template !== undefined) {
+      if (typeof field.template !== 'string' || templateSources(field.template).length === 0) {
+        errors.push(`${where}.template must be a string with at least one {property}`);
+      }
+      if (field.from !== undefined) {
+        errors.push(`${where} takes either from or template, not both`);
+      }
+    } else if (from.length === 0 || from.some(name => typeof name !== 'string' || !name)) {
+      errors.push(`${where}.from must be a property name or a list of them`);
+    }
+
+    const type = field.type || 'string';
+    if (!TYPES.includes(type)) {
+      errors.push(`${where}.type must be one of ${TYPES.join(', ')}`);
+    }
+    if (from.length > 1 && type !== 'string') {
+      errors.push(`${where} combines several properties, so its type must be string`);
+    }
+    if (field.join !== undefined && typeof field.join !== 'string') {
+      errors.push(`${where}.join must be a string`);
+    }
+
+    return {
+      to: field.to,
+      from: field.template !== undefined ? undefined : (from.length > 1 ? from : from[0]),
+      template: field.template,
+      join: from.length > 1 ? (field.join ?? ' ') : undefined,
+      type,
+      default: field.default
+    };
+  });
+
+  if (input.passthrough !== undefined && typeof input.passthrough !== 'boolean') {
+    errors.push('passthrough must be true or false');
+  }
+  const drop = input.drop ?? [];
+  if (!Array.isArray(drop) || drop.some(name => typeof name !== 'string')) {
+    errors.push('drop must be a list of property names');
+  }
+  if (input.description !== undefined && typeof input.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  return {
+    errors,
+    profile: errors.length > 0 ? null : {
+      objectType: input.objectType || 'contacts',
+      description: input.description,
+      fields: normalised,
+      passthrough: !!input.passthrough,
+      drop
+    }
+  };
+}
+
+// Properties a profile reads, for the properties= parameter of HubSpot calls
+function profileProperties(profile) {
+  const names = profile.fields.flatMap(fieldSources);
+  return [...new Set(names.filter(name => !RECORD_FIELDS.includes(name)))];
+}
+
+// Error messages for fields reading unknown properties, or labels without options
+function checkProfileProperties(profile, definitions) {
+  const byName = new Map(definitions.map(property => [property.name, property]));
+  const errors = [];
+  for (const field of profile.fields) {
+    for (const name of fieldSources(field)) {
+      if (!RECORD_FIELDS.includes(name) && !byName.has(name)) {
+        errors.push(`${field.to}: unknown property ${name}`);
+      }
+    }
+    if (field.type === 'label' && field.from && byName.has(field.from) && byName.get(field.from).type !== 'enumeration') {
+      errors.push(`${field.to}: ${field.from} is not an enumeration, so it has no labels`);
+    }
+  }
+  return errors;
+}
+
+function toDate(value) {
+  const date = /^-?\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(String(value));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Returns { value } with the converted value, or { error }
+function coerce(value, field, property) {
+  switch (field.type) {
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      if (typeof value === 'boolean' || !Number.isFinite(number)) return { error: `${value} is not a number` };
+      return { value: field.type === 'integer' ? Math.trunc(number) : number };
+    }
+    case 'boolean': {
+      const text = String(value).toLowerCase();
+      if (['true', '1', 'yes'].includes(text)) return { value: true };
+      if (['false', '0', 'no'].includes(text)) return { value: false };
+      return { error: `${value} is not a boolean` };
+    }
+    case 'date':
+    case 'datetime': {
+      const date = toDate(value);
+      if (!date) return { error: `${value} is not a date` };
+      return { value: field.type === 'date' ? date.toISOString().slice(0, 10) : date.toISOString() };
+    }
+    case 'label': {
+      const options = property?.options || [];
+      const labels = String(value).split(';').map(item => options.find(option => option.value === item)?.label ?? item);
+      // Checkbox properties hold several options
+      return { value: property?.fieldType === 'checkbox' ? labels : labels[0] };
+    }
+    case 'array':
+      return { value: Array.isArray(value) ? value : String(value).split(';').filter(Boolean) };
+    default:
+      return { value: typeof value === 'object' ? JSON.stringify(value) : String(value) };
+  }
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Build the function applying a profile; label fields need the property definitions
+function createMapper(profile, definitions = []) {
+  const byName = new Map(definitions.map(property => [property.name, property]));
+  const mapped = new Set(profile.fields.flatMap(fieldSources));
+
+  function read(record, name) {
+    if (record.properties && Object.prototype.hasOwnProperty.call(record.properties, name)) {
+      return record.properties[name];
+    }
+    return RECORD_FIELDS.includes(name) ? record[name] : undefined;
+  }
+
+  // Returns { output, errors } for one HubSpot record
+  function map(record) {
+    const output = {};
+    const errors = [];
+
+    for (const field of profile.fields) {
+      let value;
+      if (field.template) {
+        value = field.template.replace(TEMPLATE_PLACEHOLDER, (match, name) => (isEmpty(read(record, name)) ? '' : read(record, name))).replace(/\s+/g, ' ').trim();
+      } else if (Array.isArray(field.from)) {
+        value = field.from.map(name => read(record, name)).filter(item => !isEmpty(item)).join(field.join);
+      } else {
+        value = read(record, field.from);
+      }
+
+      if (isEmpty(value)) {
+        output[field.to] = field.default === undefined ? null : field.default;
+        continue;
+      }
+      const result = coerce(value, field, byName.get(field.from));
+      if (result.error) {
+        errors.push({ field: field.to, message: result.error });
+        output[field.to] = null;
+      } else {
+        output[field.to] = result.value;
+      }
+    }
+
+    if (profile.passthrough) {
+      for (const [name, value] of Object.entries(record.properties || {})) {
+        if (!mapped.has(name) && !profile.drop.includes(name) && !(name in output)) {
+          output[name] = value;
+        }
+      }
+    }
+    return { output, errors };
+  }
+
+  return {
+    name: profile.name,
+    properties: profileProperties(profile),
+    columns: profile.fields.map(field => field.to),
+    map,
+    // The mapped shape alone, for the read routes
+    apply: record => map(record).output
+  };
+}
+
+class MappingStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  key(portalId, name) {
+    return `mapping:${portalId}:${name}`;
+  }
+
+  async get(portalId, name) {
+    if (!isValidName(name)) return null;
+    return this.storage.get(this.key(portalId, name));
+  }
+
+  async list(portalId) {
+    const profiles = [];
+    for (const key of (await this.storage.keys(`mapping:${portalId}:`)).sort()) {
+      const profile = await this.storage.get(key);
+      if (profile) profiles.push(profile);
+    }
+    return profiles;
+  }
+
+  // Create or replace a profile. Returns { profile, created }.
+  async save(portalId, name, profile) {
+    const existing = await this.get(portalId, name);
+    const now = new Date().toISOString();
+    const saved = {
+      name,
+      ...profile,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    await this.storage.set(this.key(portalId, name), saved);
+    return { profile: saved, created: !existing };
+  }
+
+  async delete(portalId, name) {
+    const existing = await this.get(portalId, name);
+    if (!existing) return false;
+    await this.storage.delete(this.key(portalId, name));
+    return true;
+  }
+}
+
+module.exports = {
+  TYPES,
+  isValidName,
+  validateProfile,
+  profileProperties,
+  checkProfileProperties,
+  createMapper,
+  MappingStore
+};
@@ -0,0 +1,208 @@
+// Minimal Prometheus registry for GET /metrics; values are per process
+
+const { STANDARD_OBJECTS } = require('./schema');
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    // label key -> { labels, value }
+    this.series = new Map();
+  }
+
+  entry(labels) {
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, value: this.initial() });
+    }
+    return this.series.get(key);
+  }
+
+  initial() {
+    return 0;
+  }
+
+  lines() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(labels, value) {
+    this.entry(labels).value = value;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DURATION_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  initial() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const data = this.entry(labels).value;
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) data.counts[index]++;
+    });
+    data.sum += value;
+    data.count++;
+  }
+
+  lines() {
+    const lines = [];
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+    // Called before rendering, to set gauges from current state
+    this.collectors = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help) {
+    return this.register(new Gauge(name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  collect(collector) {
+    this.collectors.push(collector);
+  }
+
+  render() {
+    for (const collector of this.collectors) {
+      collector();
+    }
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+const registry = new Registry();
+
+const httpRequests = registry.counter('connector_http_requests_total', 'Requests handled by the connector, by route and status');
+const httpDuration = registry.histogram('connector_http_request_duration_seconds', 'Time to handle connector requests, by route');
+const hubspotRequests = registry.counter('hubspot_api_requests_total', 'Calls to the HubSpot API, by endpoint and status');
+const hubspotDuration = registry.histogram('hubspot_api_request_duration_seconds', 'Latency of HubSpot API calls, by endpoint');
+const tokenRefreshes = registry.counter('hubspot_token_refreshes_total', 'Access token refreshes, by result');
+
+// CRM path segments kept in endpoint labels: operations and standard object types
+const ENDPOINT_SEGMENTS = new Set([
+  'batch', 'read', 'create', 'update', 'upsert', 'archive', 'search', 'merge', 'associations', 'memberships',
+  'add', 'remove', 'default', 'labels', 'object-type-id', 'name',
+  ...STANDARD_OBJECTS.flatMap(object => [object.name, object.objectTypeId])
+]);
+// CRM collections whose next segment is the object type
+const TYPED_COLLECTIONS = ['objects', 'properties', 'schemas', 'pipelines'];
+
+// HubSpot path as a template (/crm/v3/objects/contacts/:id), without ids or emails
+function endpointLabel(url) {
+  const segments = String(url)
+    .replace(/^https?:\/\/[^/]+/, '')
+    .split('?')[0]
+    .replace(/(\/oauth\/v1\/(?:access|refresh)-tokens\/)[^/]+/, '$1:token')
+    .split('/');
+  if (segments[1] !== 'crm') {
+    return segments.map(segment => (/^\d+$/.test(segment) ? ':id' : segment)).join('/');
+  }
+  // '', 'crm', version, collection, then the type for typed collections
+  const kept = TYPED_COLLECTIONS.includes(segments[3]) ? 5 : 4;
+  return segments
+    .map((segment, index) => (index < kept || ENDPOINT_SEGMENTS.has(segment) ? segment : ':id'))
+    .join('/');
+}
+
+// The route pattern a request matched (/api/hubspot/lists/:listId), not its URL
+function routeLabel(req) {
+  return req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched';
+}
+
+// Express middleware counting requests and their duration per route
+function metricsMiddleware() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = routeLabel(req);
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  };
+}
+
+function recordHubSpotCall({ method, url, status, latencyMs }) {
+  const endpoint = endpointLabel(url);
+  hubspotRequests.inc({ method: String(method || 'get').toUpperCase(), endpoint, status });
+  hubspotDuration.observe({ method: String(method || 'get').toUpperCase(), endpoint }, latencyMs / 1000);
+}
+
+function recordTokenRefresh(success) {
+  tokenRefreshes.inc({ result: success ? 'success' : 'failure' });
+}
+
+module.exports = {
+  registry,
+  metricsMiddleware,
+  recordHubSpotCall,
+  recordTokenRefresh,
+  endpointLabel
+};
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Local mirror of CRM records (v3 shape) per portal and object type, with a
+// sync state, filled by lib/sync.js and read with ?source=cache
+
+function compareIds(a, b) {
+  const diff = Number(a) - Number(b);
+  return isNaN(diff) ? String(a).localeCompare(String(b)) : diff;
+}
+
+// In-memory mirror, also the base for the file mirror
+class MemoryMirror {
+  constructor() {
+    this.driver = 'memory';
+    // `${portalId}:${objectType}` -> { state, records: Map, sorted }
+    this.collections = new Map();
+  }
+
+  collection(portalId, objectType) {
+    const key = `${portalId}:${objectType}`;
+    if (!this.collections.has(key)) {
+      this.collections.set(key, this.load(portalId, objectType));
+    }
+    return this.collections.get(key);
+  }
+
+  load() {
+    return { state: null, records: new Map(), sorted: null, dirty: false };
+  }
+
+  async upsert(portalId, objectType, records) {
+    const collection = this.collection(portalId, objectType);
+    for (const record of records) {
+      collection.records.set(String(record.id), record);
+    }
+    collection.sorted = null;
+    collection.dirty = true;
+  }
+
+  async remove(portalId, objectType, ids) {
+    const collection = this.collection(portalId, objectType);
+    for (const id of ids) {
+      collection.records.delete(String(id));
+    }
+    collection.sorted = null;
+    collection.dirty = true;
+  }
+
+  async get(portalId, objectType, id) {
+    return this.collection(portalId, objectType).records.get(String(id)) || null;
+  }
+
+  // Records ordered by id; `after` is the last id of the previous page
+  async list(portalId, objectType, { limit, after = null }) {
+    const collection = this.collection(portalId, objectType);
+    if (!collection.sorted) {
+      collection.sorted = [...collection.records.keys()].sort(compareIds);
+    }
+
+    let start = 0;
+    if (after !== null) {
+      start = collection.sorted.findIndex(id => compareIds(id, after) > 0);
+      if (start === -1) start = collection.sorted.length;
+    }
+
+    const ids = collection.sorted.slice(start, start + limit);
+    const hasMore = start + limit < collection.sorted.length;
+    return {
+      results: ids.map(id => collection.records.get(id)),
+      paging: hasMore ? { next: { after: ids[ids.length - 1] } } : undefined
+    };
+  }
+
+  async ids(portalId, objectType) {
+    return [...this.collection(portalId, objectType).records.keys()];
+  }
+
+  async count(portalId, objectType) {
+    return this.collection(portalId, objectType).records.size;
+  }
+
+  async getState(portalId, objectType) {
+    return this.collection(portalId, objectType).state;
+  }
+
+  async setState(portalId, objectType, state) {
+    const collection = this.collection(portalId, objectType);
+    collection.state = state;
+    collection.dirty = true;
+    await this.flush();
+  }
+
+  async objectTypes(portalId) {
+    return [...this.collections.keys()]
+      .filter(key => key.startsWith(`${portalId}:`))
+      .map(key => key.slice(String(portalId).length + 1));
+  }
+
+  async flush() {}
+}
+
+// One JSON file per portal and object type, written on flush()
+class FileMirror extends MemoryMirror {
+  constructor({ dir }) {
+    super();
+    this.driver = 'file';
+    this.dir = dir;
+  }
+
+  filePath(portalId, objectType) {
+    return path.join(this.dir, `${portalId}-${objectType}.json`);
+  }
+
+  load(portalId, objectType) {
+    const collection = { portalId, objectType, state: null, records: new Map(), sorted: null, dirty: false };
+    const filePath = this.filePath(portalId, objectType);
+    try {
+      if (fs.existsSync(filePath)) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        collection.state = data.state || null;
+        collection.records = new Map(Object.entries(data.records || {}));
+      }
+    } catch (error) {
+      logger.error('Error loading mirror file', { filePath, error });
+    }
+    return collection;
+  }
+
+  async objectTypes(portalId) {
+    const prefix = `${portalId}-`;
+    const onDisk = fs.existsSync(this.dir)
+      ? fs.readdirSync(this.dir)
+        .filter(name => name.startsWith(prefix) && name.endsWith('.json'))
+        .map(name => name.slice(prefix.length, -'.json'.length))
+      : [];
+    return [...new Set([...onDisk, ...await super.objectTypes(portalId)])];
+  }
+
+  async flush() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const collection of this.collections.values()) {
+      if (!collection.dirty) continue;
+
+      const filePath = this.filePath(collection.portalId, collection.objectType);
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        state: collection.state,
+        records: Object.fromEntries(collection.records)
+      }), { mode: 0o600 });
+      fs.renameSync(tmpPath, filePath);
+      collection.dirty = false;
+    }
+  }
+}
+
+// SQLite mirror (requires the optional better-sqlite3 package)
+class SqliteMirror {
+  constructor({ filePath }) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The sqlite mirror driver requires the "better-sqlite3" package');
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.driver = 'sqlite';
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        portal_id TEXT NOT NULL,
+        object_type TEXT NOT NULL,
+        id TEXT NOT NULL,
+        sort_key INTEGER,
+        data TEXT NOT NULL,
+        PRIMARY KEY (portal_id, object_type, id)
+      );
+      CREATE INDEX IF NOT EXISTS records_sort ON records (portal_id, object_type, sort_key, id);
+      CREATE TABLE IF NOT EXISTS sync_state (
+        portal_id TEXT NOT NULL,
+        object_type TEXT NOT NULL,
+        state TEXT NOT NULL,
+        PRIMARY KEY (portal_id, object_type)
+      );
+    `);
+
+    const upsert = this.db.prepare(`INSERT INTO records (portal_id, object_type, id, sort_key, data) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(portal_id, object_type, id) DO UPDATE SET data = excluded.data`);
+    const remove = this.db.prepare('DELETE FROM records WHERE portal_id = ? AND object_type = ? AND id = ?');
+    this.statements = {
+      upsertMany: this.db.transaction((portalId, objectType, records) => {
+        for (const record of records) {
+          upsert.run(portalId, objectType, String(record.id), Number(record.id) || null, JSON.stringify(record));
+        }
+      }),
+      removeMany: this.db.transaction((portalId, objectType, ids) => {
+        for (const id of ids) {
+          remove.run(portalId, objectType, String(id));
+        }
+      }),
+      get: this.db.prepare('SELECT data FROM records WHERE portal_id = ? AND object_type = ? AND id = ?'),
+      listFirst: this.db.prepare('SELECT id, data FROM records WHERE portal_id = ? AND object_type = ? ORDER BY sort_key, id LIMIT ?'),
+      listAfter: this.db.prepare(`SELECT id, data FROM records WHERE portal_id = ? AND object_type = ?
+        AND (sort_key > ? OR (sort_key = ? AND id > ?)) ORDER BY sort_key, id LIMIT ?`),
+      ids: this.db.prepare('SELECT id FROM records WHERE portal_id = ? AND object_type = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM records WHERE portal_id = ? AND object_type = ?'),
+      getState: this.db.prepare('SELECT state FROM sync_state WHERE portal_id = ? AND object_type = ?'),
+      setState: this.db.prepare(`INSERT INTO sync_state (portal_id, object_type, state) VALUES (?, ?, ?)
+        ON CONFLICT(portal_id, object_type) DO UPDATE SET state = excluded.state`),
+      objectTypes: this.db.prepare(`SELECT object_type FROM sync_state WHERE portal_id = ?
+        UNION SELECT DISTINCT object_type FROM records WHERE portal_id = ?`)
+    };
+  }
+
+  async upsert(portalId, objectType, records) {
+    this.statements.upsertMany(String(portalId), objectType, records);
+  }
+
+  async remove(portalId, objectType, ids) {
+    this.statements.removeMany(String(portalId), objectType, ids);
+  }
+
+  async get(portalId, objectType, id) {
+    const row = this.statements.get.get(String(portalId), objectType, String(id));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async list(portalId, objectType, { limit, after = null }) {
+    const rows = after === null
+      ? this.statements.listFirst.all(String(portalId), objectType, limit + 1)
+      : this.statements.listAfter.all(String(portalId), objectType, Number(after) || null, Number(after) || null, String(after), limit + 1);
+
+    const page = rows.slice(0, limit);
+    return {
+      results: page.map(row => JSON.parse(row.data)),
+      paging: rows.length > limit ? { next: { after: page[page.length - 1].id } } : undefined
+    };
+  }
+
+  async ids(portalId, objectType) {
+    return this.statements.ids.all(String(portalId), objectType).map(row => row.id);
+  }
+
+  async count(portalId, objectType) {
+    return this.statements.count.get(String(portalId), objectType).count;
+  }
+
+  async getState(portalId, objectType) {
+    const row = this.statements.getState.get(String(portalId), objectType);
+    return row ? JSON.parse(row.state) : null;
+  }
+
+  async setState(portalId, objectType, state) {
+    this.statements.setState.run(String(portalId), objectType, JSON.stringify(state));
+  }
+
+  async objectTypes(portalId) {
+    return this.statements.objectTypes.all(String(portalId), String(portalId)).map(row => row.object_type);
+  }
+
+  async flush() {}
+}
+
+// Pick a backend from MIRROR_DRIVER (memory | file | sqlite) and MIRROR_PATH
+function createMirror(env = process.env) {
+  const isProduction = env.NODE_ENV === 'production';
+  const driver = env.MIRROR_DRIVER || (isProduction ? 'memory' : 'file');
+  const dataDir = path.join(__dirname, '..', '.data');
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryMirror();
+    case 'file':
+      return new FileMirror({ dir: env.MIRROR_PATH || path.join(dataDir, 'mirror') });
+    case 'sqlite':
+      return new SqliteMirror({ filePath: env.MIRROR_PATH || path.join(dataDir, 'mirror.db') });
+    default:
+      throw new Error(`Unknown mirror driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createMirror,
+  MemoryMirror,
+  FileMirror,
+  SqliteMirror
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { sign } = require('./session');
+
+// OAuth install flow helpers: authorize host, redirect URI and the `state`,
+// HMAC-signed with the session hash and an expiry so any instance can check
+// it. With persistent storage its nonce also makes it single use.
+
+const STATE_TTL = 10 * 60 * 1000;
+
+// HubSpot accounts live in different data centres, each with its own app host
+const AUTH_HOSTS = {
+  na1: 'app.hubspot.com',
+  na2: 'app-na2.hubspot.com',
+  eu1: 'app-eu1.hubspot.com'
+};
+
+// HUBSPOT_AUTH_HOST wins, otherwise the host for HUBSPOT_REGION (na1, na2, eu1)
+function getAuthHost(env = process.env) {
+  if (env.HUBSPOT_AUTH_HOST) {
+    return env.HUBSPOT_AUTH_HOST.replace(/^https?:\/\//, '').replace(/\/$/, '');
+  }
+  const region = (env.HUBSPOT_REGION || 'na2').toLowerCase();
+  if (!AUTH_HOSTS[region]) {
+    throw new Error(`Unknown HUBSPOT_REGION: ${env.HUBSPOT_REGION} (use ${Object.keys(AUTH_HOSTS).join(', ')})`);
+  }
+  return AUTH_HOSTS[region];
+}
+
+// OAUTH_REDIRECT_BASE_URL + /oauth/callback, else the Vercel URL or localhost
+function getRedirectUri(env = process.env) {
+  const base = env.OAUTH_REDIRECT_BASE_URL || (env.NODE_ENV === 'production'
+    ? 'https://hubspot-crm-connector.vercel.app'
+    : `http://localhost:${env.PORT || 5000}`);
+  return `${base.replace(/\/$/, '')}/oauth/callback`;
+}
+
+function buildAuthorizeUrl({ clientId, redirectUri, scope, optionalScope, state, host = getAuthHost() }) {
+  const params = new URLSearchParams({ client_id: clientId, redirect_uri: redirectUri, scope });
+  if (optionalScope) params.set('optional_scope', optionalScope);
+  params.set('state', state);
+  return `https://${host}/oauth/authorize?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+function hashSession(sessionId) {
+  return crypto.createHash('sha256').update(sessionId).digest('base64url').slice(0, 22);
+}
+
+// Only same-site paths can be used as the page to return to
+function safeReturnTo(value) {
+  return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.includes('\\') ? value : null;
+}
+
+class OAuthStateStore {
+  constructor(storage, { singleUse = !!storage.persistent } = {}) {
+    this.storage = storage;
+    this.singleUse = singleUse;
+  }
+
+  // Create a state. returnTo is where the callback goes next, portalId the portal
+  // a reconnect is for, replace whether the callback revokes the token it replaces.
+  async create(sessionId, { returnTo, portalId, replace } = {}) {
+    const payload = {
+      n: crypto.randomBytes(16).toString('base64url'),
+      s: hashSession(sessionId),
+      e: Date.now() + STATE_TTL,
+      r: safeReturnTo(returnTo) || undefined,
+      p: portalId ? String(portalId) : undefined,
+      f: replace ? 1 : undefined
+    };
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    if (this.singleUse) {
+      await this.prune();
+      await this.storage.set(`oauthstate:${payload.n}`, { expiresAt: payload.e });
+    }
+    return `${encoded}.${sign(encoded)}`;
+  }
+
+  // Check and consume a state: { returnTo, portalId, replace }, or { error }
+  async consume(state, sessionId) {
+    const [encoded, signature] = String(state || '').split('.');
+    if (!encoded || !signature) {
+      return { error: 'Missing state parameter' };
+    }
+
+    const expected = Buffer.from(sign(encoded));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { error: 'Invalid state parameter' };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { error: 'Invalid state parameter' };
+    }
+
+    if (Date.now() > payload.e) {
+      if (this.singleUse) await this.storage.delete(`oauthstate:${payload.n}`);
+      return { error: 'The authorization request expired, please start again' };
+    }
+    // Checked before consuming, so another session cannot use up the state
+    if (payload.s !== hashSession(sessionId)) {
+      return { error: 'The authorization request was started in a different session' };
+    }
+
+    if (this.singleUse) {
+      const stored = await this.storage.get(`oauthstate:${payload.n}`);
+      await this.storage.delete(`oauthstate:${payload.n}`);
+      if (!stored) {
+        return { error: 'The authorization request was already used' };
+      }
+    }
+    return { returnTo: payload.r || null, portalId: payload.p || null, replace: !!payload.f };
+  }
+
+  // Remove nonces of flows that were never completed
+  async prune() {
+    for (const key of await this.storage.keys('oauthstate:')) {
+      const entry = await this.storage.get(key);
+      if (!entry || entry.expiresAt < Date.now()) {
+        await this.storage.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  getAuthHost,
+  getRedirectUri,
+  buildAuthorizeUrl,
+  OAuthStateStore
+};
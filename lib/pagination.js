@@ -0,0 +1,82 @@
+// Cursor pagination helpers for the HubSpot CRM v3 APIs (100 records per page)
+
+const HUBSPOT_PAGE_SIZE = 100;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const DEFAULT_FETCH_ALL_MAX = 10000;
+
+// Parse ?limit= (falls back to the default on anything invalid, as before)
+function parseLimit(value, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+  if (!value) return defaultLimit;
+  const requestedLimit = parseInt(value);
+  if (!isNaN(requestedLimit) && requestedLimit > 0 && requestedLimit <= maxLimit) {
+    return requestedLimit;
+  }
+  return defaultLimit;
+}
+
+// Upper bound for all=true, configurable with FETCH_ALL_MAX and lowered per request with ?max=
+function parseFetchAllMax(value) {
+  const configured = parseInt(process.env.FETCH_ALL_MAX) || DEFAULT_FETCH_ALL_MAX;
+  const requested = parseInt(value);
+  return !isNaN(requested) && requested > 0 ? Math.min(requested, configured) : configured;
+}
+
+// Walk pages until `limit` records are seen, calling onPage(results, { after, last })
+// for each. Resolves to { count, after, pages }, `after` being the next cursor.
+async function walkPages(fetchPage, { limit, after = null, onPage }) {
+  let count = 0;
+  let cursor = after;
+  let pages = 0;
+
+  do {
+    const pageSize = Math.min(HUBSPOT_PAGE_SIZE, limit - count);
+    const data = await fetchPage({ limit: pageSize, after: cursor });
+    const pageResults = data.results || [];
+    pages++;
+    cursor = data.paging?.next?.after || null;
+
+    await onPage(pageResults, { after: cursor, last: !cursor || count + pageResults.length >= limit });
+
+    count += pageResults.length;
+  } while (cursor && count < limit);
+
+  return { count, after: cursor, pages };
+}
+
+// Same as walkPages but collects the records: { results, after, pages }
+async function collectPages(fetchPage, { limit, after = null } = {}) {
+  const results = [];
+  const { after: cursor, pages } = await walkPages(fetchPage, {
+    limit,
+    after,
+    onPage: pageResults => {
+      results.push(...pageResults);
+    }
+  });
+  return { results, after: cursor, pages };
+}
+
+// Link to the next page of the current route, keeping the other query params.
+// `param` is the cursor parameter (after for v3 objects, offset for lists).
+function buildNextLink(req, after, param = 'after') {
+  if (after === null || after === undefined) return null;
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(req.query)) {
+    if (key === param) continue;
+    for (const item of [].concat(value)) {
+      params.append(key, item);
+    }
+  }
+  params.set(param, after);
+  return `${req.baseUrl}${req.path}?${params.toString()}`;
+}
+
+module.exports = {
+  HUBSPOT_PAGE_SIZE,
+  parseLimit,
+  parseFetchAllMax,
+  walkPages,
+  collectPages,
+  buildNextLink
+};
@@ -0,0 +1,132 @@
+// Property definitions and snapshots of them (propsnapshot:<portalId>:<type>),
+// to report changes made in HubSpot before they break a mapping
+
+// Read the properties and property groups of an object type
+async function fetchProperties(hubspot, objectType) {
+  const path = `/crm/v3/properties/${encodeURIComponent(objectType)}`;
+  const [properties, groups] = await Promise.all([
+    hubspot.get(path),
+    hubspot.get(`${path}/groups`)
+  ]);
+  return {
+    properties: properties.results || [],
+    groups: groups.results || []
+  };
+}
+
+// The parts of a property definition the explorer returns
+function describeProperty(property) {
+  return {
+    name: property.name,
+    label: property.label,
+    description: property.description || undefined,
+    groupName: property.groupName,
+    type: property.type,
+    fieldType: property.fieldType,
+    options: property.options?.length ? property.options.map(option => ({
+      label: option.label,
+      value: option.value,
+      hidden: option.hidden || undefined
+    })) : undefined,
+    hubspotDefined: !!property.hubspotDefined,
+    calculated: !!property.calculated,
+    hidden: !!property.hidden,
+    hasUniqueValue: !!property.hasUniqueValue,
+    readOnly: !!property.modificationMetadata?.readOnlyValue
+  };
+}
+
+// The fields of each property whose changes are reported
+function snapshotProperties(properties) {
+  return Object.fromEntries(properties.map(property => [property.name, {
+    label: property.label,
+    type: property.type,
+    fieldType: property.fieldType,
+    groupName: property.groupName,
+    options: (property.options || []).map(option => option.value)
+  }]));
+}
+
+// Compare two snapshotProperties() maps. A removed property with the label of
+// an added one is also reported as a possible rename.
+function diffProperties(previous, current) {
+  const added = Object.keys(current).filter(name => !previous[name]);
+  const removed = Object.keys(previous).filter(name => !current[name]);
+  const retyped = [];
+  const relabelled = [];
+  const regrouped = [];
+  const optionsChanged = [];
+
+  for (const name of Object.keys(current).filter(name => previous[name])) {
+    const before = previous[name];
+    const after = current[name];
+    if (before.type !== after.type || before.fieldType !== after.fieldType) {
+      retyped.push({
+        name,
+        from: { type: before.type, fieldType: before.fieldType },
+        to: { type: after.type, fieldType: after.fieldType }
+      });
+    }
+    if (before.label !== after.label) {
+      relabelled.push({ name, from: before.label, to: after.label });
+    }
+    if (before.groupName !== after.groupName) {
+      regrouped.push({ name, from: before.groupName, to: after.groupName });
+    }
+    const addedOptions = after.options.filter(value => !before.options.includes(value));
+    const removedOptions = before.options.filter(value => !after.options.includes(value));
+    if (addedOptions.length > 0 || removedOptions.length > 0) {
+      optionsChanged.push({ name, added: addedOptions, removed: removedOptions });
+    }
+  }
+
+  const possibleRenames = removed.flatMap(from => added
+    .filter(to => previous[from].label && current[to].label === previous[from].label)
+    .map(to => ({ from, to, label: current[to].label })));
+
+  return {
+    changed: added.length + removed.length + retyped.length + relabelled.length + regrouped.length + optionsChanged.length > 0,
+    // Removed and retyped properties break mappings; the rest may not
+    breaking: removed.length + retyped.length > 0,
+    added: added.map(name => ({ name, label: current[name].label, type: current[name].type, groupName: current[name].groupName })),
+    removed: removed.map(name => ({ name, label: previous[name].label, type: previous[name].type })),
+    retyped,
+    relabelled,
+    regrouped,
+    optionsChanged,
+    possibleRenames
+  };
+}
+
+class PropertySnapshotStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  key(portalId, objectType) {
+    return `propsnapshot:${portalId}:${objectType}`;
+  }
+
+  async get(portalId, objectType) {
+    return this.storage.get(this.key(portalId, objectType));
+  }
+
+  async save(portalId, objectType, properties) {
+    const snapshot = {
+      objectType,
+      takenAt: new Date().toISOString(),
+      count: properties.length,
+      properties: snapshotProperties(properties)
+    };
+    await this.storage.set(this.key(portalId, objectType), snapshot);
+    return snapshot;
+  }
+}
+
+module.exports = {
+  fetchProperties,
+  describeProperty,
+  snapshotProperties,
+  diffProperties,
+  PropertySnapshotStore
+};
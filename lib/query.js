@@ -0,0 +1,25 @@
+// Helpers for reading list/boolean query parameters.
+
+// Accepts ?x=a,b and ?x=a&x=b; returns a de-duplicated array of trimmed values
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  return [...new Set(items)];
+}
+
+// Returns true/false for "true"/"false" (1/0, or JSON booleans), undefined when not set, and
+// null for anything else so callers can reject it
+function parseBoolean(value) {
+  if (value === undefined || value === '') return undefined;
+  if (value === true || value === 'true' || value === '1') return true;
+  if (value === false || value === 'false' || value === '0') return false;
+  return null;
+}
+
+module.exports = {
+  parseList,
+  parseBoolean
+};
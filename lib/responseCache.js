@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { RedisStorage } = require('./storage');
+const { logger } = require('./logger');
+
+// Cache for JSON responses of read routes, keyed by portal, path and query.
+// Entries are tagged (contacts, lists, ...); invalidate() bumps a generation
+// counter per tag, which turns older entries into misses. CACHE_DRIVER is
+// memory or redis, CACHE_TTLS overrides route TTLs ("contacts=10,lists=120").
+
+const DEFAULT_TTLS = {
+  contacts: 30,
+  search: 30,
+  objects: 30,
+  lists: 60,
+  listMembers: 30,
+  schemas: 300,
+  properties: 300,
+  duplicates: 300,
+  timeline: 60
+};
+const MAX_MEMORY_ENTRIES = 1000;
+
+// Bounded in-memory backend, oldest entries evicted first. Generation
+// counters are kept apart and never evicted, or old entries would match again.
+class MemoryCacheBackend {
+  constructor(maxEntries = MAX_MEMORY_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.data = new Map();
+    this.counters = new Map();
+  }
+
+  async get(key) {
+    const map = key.startsWith('gen:') ? this.counters : this.data;
+    return map.has(key) ? map.get(key) : null;
+  }
+
+  async set(key, value) {
+    if (key.startsWith('gen:')) {
+      this.counters.set(key, value);
+      return;
+    }
+    this.data.delete(key);
+    this.data.set(key, value);
+    while (this.data.size > this.maxEntries) {
+      this.data.delete(this.data.keys().next().value);
+    }
+  }
+}
+
+// Redis backend; entries expire in Redis as well as by their own expiresAt
+class RedisCacheBackend {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async get(key) {
+    return this.storage.get(key);
+  }
+
+  async set(key, value, { ttlMs } = {}) {
+    await this.storage.set(key, value, { ttlMs });
+  }
+}
+
+function parseTtls(value) {
+  const ttls = { ...DEFAULT_TTLS };
+  for (const part of String(value || '').split(',')) {
+    const [route, seconds] = part.split('=').map(item => item && item.trim());
+    if (route && seconds !== undefined && !isNaN(parseInt(seconds))) {
+      ttls[route] = parseInt(seconds);
+    }
+  }
+  return ttls;
+}
+
+// Query string with sorted keys, without portalId (already in the key)
+function normaliseQuery(query) {
+  return Object.keys(query)
+    .filter(name => name !== 'portalId')
+    .sort()
+    .map(name => `${name}=${[].concat(query[name]).join(',')}`)
+    .join('&');
+}
+
+function computeEtag(body) {
+  return `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+}
+
+function matchesEtag(header, etag) {
+  if (!header) return false;
+  return header.split(',').map(value => value.trim().replace(/^W\//, '')).some(value => value === etag || value === '*');
+}
+
+class ResponseCache {
+  constructor({ backend, ttls = DEFAULT_TTLS }) {
+    this.backend = backend;
+    this.ttls = ttls;
+  }
+
+  async generations(portalId, tags) {
+    const values = await Promise.all(tags.map(tag => this.backend.get(`gen:${portalId}:${tag}`)));
+    return Object.fromEntries(tags.map((tag, index) => [tag, values[index] || 0]));
+  }
+
+  // Make the portal's cached responses tagged with one of `tags` stale. Never throws.
+  async invalidate(portalId, tags) {
+    try {
+      for (const tag of tags) {
+        const key = `gen:${portalId}:${tag}`;
+        await this.backend.set(key, ((await this.backend.get(key)) || 0) + 1);
+      }
+      logger.debug('Invalidated cached responses', { portalId, tags });
+    } catch (error) {
+      logger.warn('Error invalidating cached responses', { portalId, tags, error });
+    }
+  }
+
+  async lookup(key, tags, portalId) {
+    const entry = await this.backend.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    const current = await this.generations(portalId, tags);
+    return tags.every(tag => entry.generations[tag] === current[tag]) ? entry : null;
+  }
+
+  // Cache the result of `load` like a response, for data a route builds once
+  // and serves page by page (the contact timeline)
+  async remember(route, portalId, key, tags, load, { bypass = false } = {}) {
+    const ttl = this.ttls[route];
+    if (!ttl || !portalId) return load();
+
+    const cacheKey = `data:${portalId}:${key}`;
+    if (!bypass) {
+      try {
+        const entry = await this.lookup(cacheKey, tags, portalId);
+        if (entry) return entry.body;
+      } catch (error) {
+        logger.warn('Error reading response cache', { error });
+      }
+    }
+
+    const generations = await this.generations(portalId, tags).catch(() => null);
+    const value = await load();
+    if (generations) {
+      const now = Date.now();
+      this.backend.set(cacheKey, { body: value, storedAt: now, expiresAt: now + ttl * 1000, generations }, { ttlMs: ttl * 1000 })
+        .catch(error => logger.warn('Error writing response cache', { error }));
+    }
+    return value;
+  }
+
+  // Express middleware for a read route; `tags` is a list or a function of req
+  middleware(route, tags) {
+    return async (req, res, next) => {
+      const ttl = this.ttls[route];
+      if (!ttl || !req.portal || req.query.source === 'cache') {
+        return next();
+      }
+
+      const entryTags = typeof tags === 'function' ? tags(req) : tags;
+      const portalId = req.portal.portalId;
+      const key = `resp:${portalId}:${req.path}?${normaliseQuery(req.query)}`;
+      const bypass = /no-cache|no-store/i.test(req.get('cache-control') || '');
+
+      try {
+        if (!bypass) {
+          const entry = await this.lookup(key, entryTags, portalId);
+          if (entry) {
+            res.set({
+              'ETag': entry.etag,
+              'Cache-Control': `private, max-age=${Math.max(0, Math.round((entry.expiresAt - Date.now()) / 1000))}`,
+              'Age': String(Math.round((Date.now() - entry.storedAt) / 1000)),
+              'X-Cache': 'HIT'
+            });
+            if (matchesEtag(req.get('if-none-match'), entry.etag)) {
+              return res.status(304).end();
+            }
+            return res.json(entry.body);
+          }
+        }
+      } catch (error) {
+        // A cache that cannot be read just means a miss
+        logger.warn('Error reading response cache', { error });
+      }
+
+      // Read before the route runs, so a write landing meanwhile leaves the entry stale
+      const generations = await this.generations(portalId, entryTags).catch(() => null);
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode !== 200) {
+          return json(body);
+        }
+
+        const etag = computeEtag(body);
+        res.set({
+          'ETag': etag,
+          'Cache-Control': `private, max-age=${ttl}`,
+          'X-Cache': bypass ? 'BYPASS' : 'MISS'
+        });
+        if (generations) {
+          const now = Date.now();
+          this.backend.set(key, { body, etag, storedAt: now, expiresAt: now + ttl * 1000, generations }, { ttlMs: ttl * 1000 })
+            .catch(error => logger.warn('Error writing response cache', { error }));
+        }
+        if (matchesEtag(req.get('if-none-match'), etag)) {
+          return res.status(304).end();
+        }
+        return json(body);
+      };
+      next();
+    };
+  }
+}
+
+function createResponseCache(env = process.env) {
+  const driver = env.CACHE_DRIVER || 'memory';
+  let backend;
+  if (driver === 'memory') {
+    backend = new MemoryCacheBackend();
+  } else if (driver === 'redis') {
+    if (!env.REDIS_URL) {
+      throw new Error('CACHE_DRIVER=redis requires REDIS_URL');
+    }
+    backend = new RedisCacheBackend(new RedisStorage({ url: env.REDIS_URL, keyPrefix: `${env.REDIS_KEY_PREFIX || 'hubspot-connector:'}cache:` }));
+  } else {
+    throw new Error(`Unknown cache driver: ${driver}`);
+  }
+  return new ResponseCache({ backend, ttls: parseTtls(env.CACHE_TTLS) });
+}
+
+module.exports = {
+  DEFAULT_TTLS,
+  ResponseCache,
+  MemoryCacheBackend,
+  createResponseCache
+};
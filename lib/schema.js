@@ -0,0 +1,90 @@
+// Object type and schema lookups, cached per portal. Functions take req.hubspot.
+
+const SCHEMA_TTL = 10 * 60 * 1000; // 10 minutes
+const cache = new Map();
+
+// Standard CRM objects and their fixed object type ids
+const STANDARD_OBJECTS = [
+  { name: 'contacts', objectTypeId: '0-1' },
+  { name: 'companies', objectTypeId: '0-2' },
+  { name: 'deals', objectTypeId: '0-3' },
+  { name: 'tickets', objectTypeId: '0-5' },
+  { name: 'products', objectTypeId: '0-7' },
+  { name: 'line_items', objectTypeId: '0-8' },
+  { name: 'quotes', objectTypeId: '0-14' },
+  { name: 'tasks', objectTypeId: '0-27' },
+  { name: 'notes', objectTypeId: '0-46' },
+  { name: 'meetings', objectTypeId: '0-47' },
+  { name: 'calls', objectTypeId: '0-48' },
+  { name: 'emails', objectTypeId: '0-49' }
+];
+
+async function cached(key, load) {
+  const entry = cache.get(key);
+  if (entry && entry.expires > Date.now()) {
+    return entry.value;
+  }
+  const value = await load();
+  cache.set(key, { value, expires: Date.now() + SCHEMA_TTL });
+  return value;
+}
+
+async function getObjectSchema(hubspot, objectType) {
+  return cached(`${hubspot.portalId}:${objectType}`, () => hubspot.get(`/crm/v3/schemas/${encodeURIComponent(objectType)}`));
+}
+
+// Custom object schemas defined in the portal
+async function listCustomSchemas(hubspot) {
+  return cached(`${hubspot.portalId}:custom-schemas`, async () => {
+    const data = await hubspot.get('/crm/v3/schemas');
+    return data.results || [];
+  });
+}
+
+// Resolve an object name, type id or custom name to { objectType, name,
+// objectTypeId, custom }, or null
+async function resolveObjectType(hubspot, value) {
+  const wanted = String(value || '').toLowerCase();
+  if (!wanted) return null;
+
+  const standard = STANDARD_OBJECTS.find(object => object.name === wanted || object.objectTypeId === wanted);
+  if (standard) {
+    return { objectType: standard.name, name: standard.name, objectTypeId: standard.objectTypeId, custom: false };
+  }
+
+  const schemas = await listCustomSchemas(hubspot);
+  const schema = schemas.find(candidate => [candidate.objectTypeId, candidate.fullyQualifiedName, candidate.name]
+    .some(name => name && name.toLowerCase() === wanted));
+  if (!schema) return null;
+
+  return { objectType: schema.objectTypeId, name: schema.name, objectTypeId: schema.objectTypeId, custom: true };
+}
+
+// Names from `names` that are not properties of the object type (read through
+// the properties API, covered by the read scope)
+async function findUnknownProperties(hubspot, objectType, names) {
+  if (names.length === 0) return [];
+  const properties = await cached(`${hubspot.portalId}:${objectType}:properties`, async () => {
+    const data = await hubspot.get(`/crm/v3/properties/${encodeURIComponent(objectType)}`);
+    return (data.results || []).map(property => property.name);
+  });
+  const known = new Set(properties);
+  return names.filter(name => !known.has(name));
+}
+
+function clearSchemaCache(portalId) {
+  for (const key of cache.keys()) {
+    if (!portalId || key.startsWith(`${portalId}:`)) {
+      cache.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  STANDARD_OBJECTS,
+  getObjectSchema,
+  listCustomSchemas,
+  resolveObjectType,
+  findUnknownProperties,
+  clearSchemaCache
+};
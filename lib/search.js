@@ -0,0 +1,218 @@
+const { parseList } = require('./query');
+
+// Validation and building of CRM v3 search requests
+
+const OPERATORS = [
+  'EQ', 'NEQ', 'LT', 'LTE', 'GT', 'GTE', 'BETWEEN', 'IN', 'NOT_IN',
+  'HAS_PROPERTY', 'NOT_HAS_PROPERTY', 'CONTAINS_TOKEN', 'NOT_CONTAINS_TOKEN'
+];
+const VALUELESS_OPERATORS = ['HAS_PROPERTY', 'NOT_HAS_PROPERTY'];
+const MULTI_VALUE_OPERATORS = ['IN', 'NOT_IN'];
+
+// Limits enforced by HubSpot's search API
+const MAX_FILTER_GROUPS = 5;
+const MAX_FILTERS_PER_GROUP = 6;
+const MAX_FILTERS = 18;
+const MAX_SORTS = 1;
+const MAX_SEARCH_LIMIT = 200;
+
+// GET keys that are not filters, including the other read routes' parameters;
+// filter[name]=value still filters on a property named like one
+const RESERVED_QUERY_KEYS = ['query', 'q', 'properties', 'limit', 'after', 'sort', 'portalId', 'mapping', 'format', 'source', 'all', 'max', 'wait', 'filter'];
+// Keys of the GET form that take exactly one value
+const SINGLE_VALUE_KEYS = ['query', 'q', 'limit', 'after', 'sort'];
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function validateFilter(filter, where, errors) {
+  if (!filter || typeof filter !== 'object') {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  if (!filter.propertyName || typeof filter.propertyName !== 'string') {
+    errors.push(`${where}.propertyName is required`);
+  }
+
+  const operator = String(filter.operator || '').toUpperCase();
+  if (!OPERATORS.includes(operator)) {
+    errors.push(`${where}.operator must be one of ${OPERATORS.join(', ')}`);
+    return;
+  }
+
+  if (VALUELESS_OPERATORS.includes(operator)) {
+    return;
+  }
+  if (MULTI_VALUE_OPERATORS.includes(operator)) {
+    if (!Array.isArray(filter.values) || filter.values.length === 0 || !filter.values.every(isScalar)) {
+      errors.push(`${where}.values must be a non-empty array for ${operator}`);
+    }
+    return;
+  }
+  if (!isScalar(filter.value)) {
+    errors.push(`${where}.value is required for ${operator}`);
+  }
+  if (operator === 'BETWEEN' && !isScalar(filter.highValue)) {
+    errors.push(`${where}.highValue is required for BETWEEN`);
+  }
+}
+
+// Keep only the fields HubSpot understands
+function normaliseFilter(filter) {
+  const normalised = { propertyName: filter.propertyName, operator: String(filter.operator).toUpperCase() };
+  if (filter.value !== undefined) normalised.value = filter.value;
+  if (filter.highValue !== undefined) normalised.highValue = filter.highValue;
+  if (filter.values !== undefined) normalised.values = filter.values;
+  return normalised;
+}
+
+// Validate a search body. Returns { errors, request, propertyNames }, request
+// being the normalised body (null on errors)
+function buildSearchRequest(body = {}) {
+  const errors = [];
+  const propertyNames = new Set();
+
+  const filterGroups = body.filterGroups || [];
+  if (!Array.isArray(filterGroups)) {
+    errors.push('filterGroups must be an array');
+  } else {
+    if (filterGroups.length > MAX_FILTER_GROUPS) {
+      errors.push(`At most ${MAX_FILTER_GROUPS} filterGroups are allowed`);
+    }
+    let totalFilters = 0;
+    filterGroups.forEach((group, groupIndex) => {
+      const filters = group && group.filters;
+      if (!Array.isArray(filters) || filters.length === 0) {
+        errors.push(`filterGroups[${groupIndex}].filters must be a non-empty array`);
+        return;
+      }
+      if (filters.length > MAX_FILTERS_PER_GROUP) {
+        errors.push(`filterGroups[${groupIndex}] has more than ${MAX_FILTERS_PER_GROUP} filters`);
+      }
+      totalFilters += filters.length;
+      filters.forEach((filter, filterIndex) => {
+        validateFilter(filter, `filterGroups[${groupIndex}].filters[${filterIndex}]`, errors);
+        if (filter && typeof filter.propertyName === 'string') {
+          propertyNames.add(filter.propertyName);
+        }
+      });
+    });
+    if (totalFilters > MAX_FILTERS) {
+      errors.push(`At most ${MAX_FILTERS} filters are allowed in total`);
+    }
+  }
+
+  const sorts = body.sorts || [];
+  if (!Array.isArray(sorts)) {
+    errors.push('sorts must be an array');
+  } else {
+    if (sorts.length > MAX_SORTS) {
+      errors.push(`At most ${MAX_SORTS} sort is allowed`);
+    }
+    sorts.forEach((sort, index) => {
+      if (!sort || typeof sort.propertyName !== 'string') {
+        errors.push(`sorts[${index}].propertyName is required`);
+        return;
+      }
+      if (sort.direction && !['ASCENDING', 'DESCENDING'].includes(sort.direction)) {
+        errors.push(`sorts[${index}].direction must be ASCENDING or DESCENDING`);
+      }
+      propertyNames.add(sort.propertyName);
+    });
+  }
+
+  if (body.query !== undefined && typeof body.query !== 'string') {
+    errors.push('query must be a string');
+  }
+
+  const properties = body.properties || [];
+  if (!Array.isArray(properties) || !properties.every(name => typeof name === 'string')) {
+    errors.push('properties must be an array of property names');
+  } else {
+    properties.forEach(name => propertyNames.add(name));
+  }
+
+  let limit = 100;
+  if (body.limit !== undefined) {
+    limit = parseInt(body.limit);
+    if (isNaN(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      errors.push(`limit must be between 1 and ${MAX_SEARCH_LIMIT}`);
+    }
+  }
+
+  if (body.after !== undefined && !isScalar(body.after)) {
+    errors.push('after must be a paging cursor');
+  }
+
+  if (errors.length > 0) {
+    return { errors, request: null, propertyNames: [...propertyNames] };
+  }
+
+  const request = {
+    filterGroups: filterGroups.map(group => ({ filters: group.filters.map(normaliseFilter) })),
+    sorts: sorts.map(sort => ({ propertyName: sort.propertyName, direction: sort.direction || 'ASCENDING' })),
+    properties,
+    limit
+  };
+  if (body.query) request.query = body.query;
+  if (body.after !== undefined) request.after = String(body.after);
+
+  return { errors, request, propertyNames: [...propertyNames] };
+}
+
+// EQ for one value, IN when the key is repeated
+function queryFilter(propertyName, value) {
+  const values = [].concat(value);
+  return values.length > 1
+    ? { propertyName, operator: 'IN', values }
+    : { propertyName, operator: 'EQ', value: values[0] };
+}
+
+// Turn the GET form (?email=a@b.com&sort=-createdate&q=...) into a search
+// body. Returns { errors, body }.
+function searchBodyFromQuery(query) {
+  const errors = [];
+  for (const key of SINGLE_VALUE_KEYS) {
+    if (query[key] !== undefined && typeof query[key] !== 'string') {
+      errors.push(`${key} must be given once, as a single value`);
+    }
+  }
+  let named = {};
+  if (query.filter !== undefined) {
+    if (query.filter && typeof query.filter === 'object' && !Array.isArray(query.filter)) {
+      named = query.filter;
+    } else {
+      errors.push('filter must be given as filter[property]=value');
+    }
+  }
+  if (errors.length > 0) {
+    return { errors, body: null };
+  }
+
+  const filters = [
+    ...Object.entries(query).filter(([key]) => !RESERVED_QUERY_KEYS.includes(key)),
+    ...Object.entries(named)
+  ].map(([propertyName, value]) => queryFilter(propertyName, value));
+
+  const body = {
+    filterGroups: filters.length ? [{ filters }] : [],
+    properties: parseList(query.properties)
+  };
+
+  if (query.q || query.query) body.query = query.q || query.query;
+  if (query.limit !== undefined) body.limit = query.limit;
+  if (query.after !== undefined) body.after = query.after;
+  if (query.sort) {
+    const descending = query.sort.startsWith('-');
+    body.sorts = [{ propertyName: descending ? query.sort.slice(1) : query.sort, direction: descending ? 'DESCENDING' : 'ASCENDING' }];
+  }
+
+  return { errors, body };
+}
+
+module.exports = {
+  OPERATORS,
+  buildSearchRequest,
+  searchBodyFromQuery
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+// Identifies the caller of a request so tokens can be bound to them.
+// API clients send an API key (X-Api-Key header or "Authorization: Bearer"),
+// browsers get a signed session cookie.
+
+const COOKIE_NAME = 'hubspot_session';
+const COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+function getSecret() {
+  const secret = process.env.SESSION_SECRET || process.env.HUBSPOT_CLIENT_SECRET;
+  if (!secret) {
+    throw new Error('SESSION_SECRET (or HUBSPOT_CLIENT_SECRET) must be set to sign session cookies');
+  }
+  return secret;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // Ignore malformed cookie values
+    }
+  }
+  return cookies;
+}
+
+// Returns the session id from a signed cookie value, or null if it was tampered with
+function verifyCookie(value) {
+  if (!value) return null;
+  const [id, signature] = value.split('.');
+  if (!id || !signature) return null;
+
+  const expected = Buffer.from(sign(id));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return id;
+}
+
+function getApiKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return null;
+}
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function generateApiKey() {
+  return `hsc_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Express middleware that sets req.sessionId (and req.sessionType)
+function sessionMiddleware({ secure = false } = {}) {
+  return (req, res, next) => {
+    const apiKey = getApiKey(req);
+    if (apiKey) {
+      req.sessionId = `key:${hashApiKey(apiKey)}`;
+      req.sessionType = 'api-key';
+      return next();
+    }
+
+    const cookies = parseCookies(req.headers.cookie);
+    let id = verifyCookie(cookies[COOKIE_NAME]);
+    if (!id) {
+      id = crypto.randomBytes(18).toString('base64url');
+      res.cookie(COOKIE_NAME, `${id}.${sign(id)}`, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure,
+        maxAge: COOKIE_MAX_AGE
+      });
+    }
+
+    req.sessionId = `browser:${id}`;
+    req.sessionType = 'browser';
+    next();
+  };
+}
+
+module.exports = {
+  sessionMiddleware,
+  sign,
+  generateApiKey,
+  hashApiKey
+};
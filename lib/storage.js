@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Key/value storage for connector state. Every backend has async
+// get(key), set(key, value), delete(key) and keys(prefix) over JSON values.
+
+// In-memory backend, lost on restart: for tests and throwaway deployments
+class MemoryStorage {
+  constructor() {
+    this.driver = 'memory';
+    // Whether state survives a restart and is seen by every instance
+    this.persistent = false;
+    this.data = new Map();
+  }
+
+  async get(key) {
+    return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+  }
+
+  async set(key, value) {
+    this.data.set(key, JSON.stringify(value));
+  }
+
+  async delete(key) {
+    this.data.delete(key);
+  }
+
+  async keys(prefix = '') {
+    return [...this.data.keys()].filter(key => key.startsWith(prefix));
+  }
+}
+
+// Single JSON file backend, the default for local development
+class FileStorage {
+  constructor({ filePath }) {
+    this.driver = 'file';
+    this.persistent = true;
+    this.filePath = filePath;
+    this.data = {};
+    this.loadError = null;
+
+    // Refuse to work rather than overwrite a file that cannot be parsed
+    try {
+      if (fs.existsSync(filePath)) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+          throw new Error('expected a JSON object');
+        }
+        this.data = data;
+      }
+    } catch (error) {
+      logger.error('Error loading storage file', { filePath, error });
+      this.loadError = new Error(`Storage file ${filePath} is corrupted (${error.message}). Fix or move it away and restart.`);
+      this.loadError.code = 'STORAGE_CORRUPTED';
+    }
+  }
+
+  checkLoaded() {
+    if (this.loadError) throw this.loadError;
+  }
+
+  // Write to a temp file first so a crash never leaves a half-written store
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  async get(key) {
+    this.checkLoaded();
+    return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : null;
+  }
+
+  async set(key, value) {
+    this.checkLoaded();
+    this.data[key] = value;
+    this.persist();
+  }
+
+  async delete(key) {
+    this.checkLoaded();
+    delete this.data[key];
+    this.persist();
+  }
+
+  async keys(prefix = '') {
+    this.checkLoaded();
+    return Object.keys(this.data).filter(key => key.startsWith(prefix));
+  }
+}
+
+// SQLite backend (requires the optional better-sqlite3 package)
+class SqliteStorage {
+  constructor({ filePath }) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The sqlite storage driver requires the "better-sqlite3" package');
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.driver = 'sqlite';
+    this.persistent = true;
+    this.db = new Database(filePath);
+    this.db.exec('CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+    this.statements = {
+      get: this.db.prepare('SELECT value FROM kv WHERE key = ?'),
+      set: this.db.prepare('INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+      delete: this.db.prepare('DELETE FROM kv WHERE key = ?'),
+      keys: this.db.prepare("SELECT key FROM kv WHERE substr(key, 1, length(?)) = ?")
+    };
+  }
+
+  async get(key) {
+    const row = this.statements.get.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async set(key, value) {
+    this.statements.set.run(key, JSON.stringify(value));
+  }
+
+  async delete(key) {
+    this.statements.delete.run(key);
+  }
+
+  async keys(prefix = '') {
+    return this.statements.keys.all(prefix, prefix).map(row => row.key);
+  }
+}
+
+// Redis backend (requires the optional ioredis package), the one to use on Vercel
+class RedisStorage {
+  constructor({ url, keyPrefix }) {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error('The redis storage driver requires the "ioredis" package');
+    }
+
+    this.driver = 'redis';
+    this.persistent = true;
+    this.keyPrefix = keyPrefix;
+    this.client = new Redis(url, { lazyConnect: false, maxRetriesPerRequest: 2 });
+    this.client.on('error', error => {
+      logger.error('Redis storage error', { error });
+    });
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.keyPrefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  // ttlMs makes Redis expire the key (used by the response cache)
+  async set(key, value, { ttlMs } = {}) {
+    if (ttlMs) {
+      await this.client.set(this.keyPrefix + key, JSON.stringify(value), 'PX', ttlMs);
+    } else {
+      await this.client.set(this.keyPrefix + key, JSON.stringify(value));
+    }
+  }
+
+  async delete(key) {
+    await this.client.del(this.keyPrefix + key);
+  }
+
+  async keys(prefix = '') {
+    const found = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await this.client.scan(cursor, 'MATCH', `${this.keyPrefix}${prefix}*`, 'COUNT', 100);
+      cursor = nextCursor;
+      found.push(...batch.map(key => key.slice(this.keyPrefix.length)));
+    } while (cursor !== '0');
+    return found;
+  }
+}
+
+// Pick a backend from STORE_DRIVER (memory | file | sqlite | redis), STORE_PATH
+// and REDIS_URL. Production needs one of STORE_DRIVER or REDIS_URL set.
+function createStorage(env = process.env) {
+  const isProduction = env.NODE_ENV === 'production';
+  if (isProduction && !env.STORE_DRIVER && !env.REDIS_URL) {
+    throw new Error('No persistent token storage configured: set REDIS_URL (or STORE_DRIVER=file|sqlite with STORE_PATH) in production');
+  }
+  const driver = env.STORE_DRIVER || (env.REDIS_URL ? 'redis' : 'file');
+  const dataDir = path.join(__dirname, '..', '.data');
+
+  switch (driver) {
+    case 'memory':
+      if (isProduction) {
+        logger.warn('Using in-memory storage in production: connections will not survive a cold start. Set REDIS_URL to persist them.');
+      }
+      return new MemoryStorage();
+    case 'file':
+      return new FileStorage({ filePath: env.STORE_PATH || path.join(dataDir, 'connector-store.json') });
+    case 'sqlite':
+      return new SqliteStorage({ filePath: env.STORE_PATH || path.join(dataDir, 'connector-store.db') });
+    case 'redis':
+      if (!env.REDIS_URL) {
+        throw new Error('STORE_DRIVER=redis requires REDIS_URL');
+      }
+      return new RedisStorage({ url: env.REDIS_URL, keyPrefix: env.REDIS_KEY_PREFIX || 'hubspot-connector:' });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  MemoryStorage,
+  FileStorage,
+  SqliteStorage,
+  RedisStorage
+};
@@ -0,0 +1,213 @@
+const { getObjectSchema } = require('./schema');
+
+// Incremental sync into the local mirror: the search API is asked for records
+// modified since the newest date seen (the high-water mark), oldest first, so
+// an interrupted run resumes on the next one. Full runs also drop deleted records.
+
+const SEARCH_PAGE_SIZE = 100;
+const SEARCH_RESULT_CAP = 10000;
+const FLUSH_EVERY_PAGES = 10;
+const STALE_RUN_AFTER = 30 * 60 * 1000; // a "running" state older than this was interrupted
+
+// In-process runs, `${portalId}:${objectType}` -> promise
+const running = new Map();
+
+class SyncInProgressError extends Error {
+  constructor(objectType) {
+    super(`A ${objectType} sync is already running`);
+    this.name = 'SyncInProgressError';
+    this.code = 'SYNC_RUNNING';
+  }
+}
+
+// Contacts use lastmodifieddate, every other object hs_lastmodifieddate
+function modifiedProperty(objectType) {
+  return objectType === 'contacts' ? 'lastmodifieddate' : 'hs_lastmodifieddate';
+}
+
+function modifiedAt(record, objectType) {
+  const value = record.properties?.[modifiedProperty(objectType)] || record.updatedAt;
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+function isRunning(state) {
+  return !!state && state.status === 'running' && Date.now() - Date.parse(state.startedAt) < STALE_RUN_AFTER;
+}
+
+// SYNC_PROPERTIES when set, otherwise every property of the schema
+async function syncProperties(hubspot, objectType) {
+  const configured = (process.env.SYNC_PROPERTIES || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (configured.length > 0) {
+    return [...new Set([...configured, modifiedProperty(objectType)])];
+  }
+  const schema = await getObjectSchema(hubspot, objectType);
+  return (schema.properties || []).map(property => property.name);
+}
+
+async function doSync({ hubspot, mirror, objectType, full }) {
+  const portalId = hubspot.portalId;
+  const previous = (await mirror.getState(portalId, objectType)) || {};
+  const fullRun = full || !previous.highWaterMark;
+  const startedAt = new Date().toISOString();
+  const started = Date.now();
+  const modified = modifiedProperty(objectType);
+
+  await mirror.setState(portalId, objectType, { ...previous, status: 'running', startedAt });
+
+  try {
+    const properties = await syncProperties(hubspot, objectType);
+    const seen = fullRun ? new Set() : null;
+    let mark = fullRun ? null : Date.parse(previous.highWaterMark);
+    let upserted = 0;
+    let pages = 0;
+
+    for (;;) {
+      const queryStart = mark;
+      let after;
+
+      do {
+        const data = await hubspot.post(`/crm/v3/objects/${encodeURIComponent(objectType)}/search`, {
+          filterGroups: queryStart !== null
+            ? [{ filters: [{ propertyName: modified, operator: 'GTE', value: String(queryStart) }] }]
+            : [],
+          sorts: [{ propertyName: modified, direction: 'ASCENDING' }],
+          properties,
+          limit: SEARCH_PAGE_SIZE,
+          after
+        }, { idempotent: true });
+
+        const results = data.results || [];
+        await mirror.upsert(portalId, objectType, results);
+        for (const record of results) {
+          if (seen) seen.add(String(record.id));
+          const time = modifiedAt(record, objectType);
+          if (time !== null && (mark === null || time > mark)) mark = time;
+        }
+
+        upserted += results.length;
+        pages++;
+        if (pages % FLUSH_EVERY_PAGES === 0) {
+          await mirror.flush();
+        }
+
+        after = data.paging?.next?.after;
+      } while (after && Number(after) + SEARCH_PAGE_SIZE <= SEARCH_RESULT_CAP);
+
+      if (!after) break;
+
+      // Hit the search result cap: query again from the newest date seen
+      if (mark === queryStart) {
+        throw new Error(`More than ${SEARCH_RESULT_CAP} ${objectType} share the same ${modified}, cannot page past them`);
+      }
+    }
+
+    // A full run saw every record, anything else in the mirror was deleted
+    let removed = 0;
+    if (seen) {
+      const stale = (await mirror.ids(portalId, objectType)).filter(id => !seen.has(id));
+      await mirror.remove(portalId, objectType, stale);
+      removed = stale.length;
+    }
+    await mirror.flush();
+
+    const result = {
+      mode: fullRun ? 'full' : 'incremental',
+      upserted,
+      removed,
+      pages,
+      durationMs: Date.now() - started
+    };
+    await mirror.setState(portalId, objectType, {
+      status: 'idle',
+      highWaterMark: mark !== null ? new Date(mark).toISOString() : previous.highWaterMark || null,
+      properties: properties.length,
+      startedAt,
+      lastRunAt: new Date().toISOString(),
+      lastSuccessAt: new Date().toISOString(),
+      lastResult: result,
+      lastError: null
+    });
+    return result;
+  } catch (error) {
+    await mirror.flush();
+    await mirror.setState(portalId, objectType, {
+      ...previous,
+      status: 'failed',
+      startedAt,
+      lastRunAt: new Date().toISOString(),
+      lastError: error.message
+    });
+    throw error;
+  }
+}
+
+// Sync one object type of the portal behind `hubspot`; rejects with
+// SyncInProgressError when one is already running
+async function runSync({ hubspot, mirror, objectType = 'contacts', full = false }) {
+  const key = `${hubspot.portalId}:${objectType}`;
+  if (running.has(key)) {
+    throw new SyncInProgressError(objectType);
+  }
+
+  // Registered before the first await; the stored state covers other instances
+  const promise = (async () => {
+    if (isRunning(await mirror.getState(hubspot.portalId, objectType))) {
+      throw new SyncInProgressError(objectType);
+    }
+    return doSync({ hubspot, mirror, objectType, full });
+  })().finally(() => {
+    running.delete(key);
+  });
+  running.set(key, promise);
+  return promise;
+}
+
+// Re-read records by id into the mirror (webhook events); missing ones are removed
+async function refreshRecords({ hubspot, mirror, objectType, ids }) {
+  const properties = await syncProperties(hubspot, objectType);
+  const unique = [...new Set(ids.map(String))];
+  let upserted = 0;
+  let removed = 0;
+
+  for (let i = 0; i < unique.length; i += SEARCH_PAGE_SIZE) {
+    const chunk = unique.slice(i, i + SEARCH_PAGE_SIZE);
+    const data = await hubspot.post(`/crm/v3/objects/${encodeURIComponent(objectType)}/batch/read`, {
+      inputs: chunk.map(id => ({ id })),
+      properties
+    }, { idempotent: true });
+
+    const results = data.results || [];
+    const found = new Set(results.map(record => String(record.id)));
+    const missing = chunk.filter(id => !found.has(id));
+    await mirror.upsert(hubspot.portalId, objectType, results);
+    await mirror.remove(hubspot.portalId, objectType, missing);
+    upserted += results.length;
+    removed += missing.length;
+  }
+
+  await mirror.flush();
+  return { upserted, removed };
+}
+
+// Sync state and record count for every mirrored object type of a portal
+async function getSyncStatus(mirror, portalId) {
+  const objectTypes = await mirror.objectTypes(portalId);
+  return Promise.all(objectTypes.map(async (objectType) => {
+    const state = (await mirror.getState(portalId, objectType)) || {};
+    return {
+      objectType,
+      count: await mirror.count(portalId, objectType),
+      running: running.has(`${portalId}:${objectType}`) || isRunning(state),
+      ...state
+    };
+  }));
+}
+
+module.exports = {
+  SyncInProgressError,
+  modifiedProperty,
+  runSync,
+  refreshRecords,
+  getSyncStatus
+};
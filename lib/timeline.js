@@ -0,0 +1,139 @@
+const { collectPages } = require('./pagination');
+
+// A contact's notes, emails, calls, meetings and tasks as one feed sorted by
+// timestamp. Functions take the portal-bound client (req.hubspot).
+
+// Records read per type, in HubSpot's association order (not by date)
+const MAX_PER_TYPE = 1000;
+const BATCH_SIZE = 100;
+
+// Per engagement type: the properties to read and how to build a feed item
+const ENGAGEMENT_TYPES = {
+  notes: {
+    properties: ['hs_note_body'],
+    item: properties => ({
+      body: properties.hs_note_body
+    })
+  },
+  emails: {
+    properties: ['hs_email_subject', 'hs_email_text', 'hs_email_direction', 'hs_email_status', 'hs_email_from_email', 'hs_email_to_email'],
+    item: properties => ({
+      title: properties.hs_email_subject,
+      body: properties.hs_email_text,
+      direction: properties.hs_email_direction,
+      status: properties.hs_email_status,
+      details: {
+        from: properties.hs_email_from_email,
+        to: properties.hs_email_to_email
+      }
+    })
+  },
+  calls: {
+    properties: ['hs_call_title', 'hs_call_body', 'hs_call_direction', 'hs_call_status', 'hs_call_duration', 'hs_call_disposition'],
+    item: properties => ({
+      title: properties.hs_call_title,
+      body: properties.hs_call_body,
+      direction: properties.hs_call_direction,
+      status: properties.hs_call_status,
+      details: {
+        durationMs: properties.hs_call_duration ? Number(properties.hs_call_duration) : undefined,
+        disposition: properties.hs_call_disposition
+      }
+    })
+  },
+  meetings: {
+    properties: ['hs_meeting_title', 'hs_meeting_body', 'hs_meeting_start_time', 'hs_meeting_end_time', 'hs_meeting_outcome', 'hs_meeting_location'],
+    item: properties => ({
+      title: properties.hs_meeting_title,
+      body: properties.hs_meeting_body,
+      status: properties.hs_meeting_outcome,
+      details: {
+        startTime: properties.hs_meeting_start_time,
+        endTime: properties.hs_meeting_end_time,
+        location: properties.hs_meeting_location
+      }
+    })
+  },
+  tasks: {
+    properties: ['hs_task_subject', 'hs_task_body', 'hs_task_status', 'hs_task_priority', 'hs_task_type'],
+    item: properties => ({
+      title: properties.hs_task_subject,
+      body: properties.hs_task_body,
+      status: properties.hs_task_status,
+      details: {
+        priority: properties.hs_task_priority,
+        taskType: properties.hs_task_type
+      }
+    })
+  }
+};
+
+const TIMELINE_TYPES = Object.keys(ENGAGEMENT_TYPES);
+
+// Ids associated with a contact: { ids, truncated }
+async function associatedIds(hubspot, contactId, type) {
+  const { results, after } = await collectPages(page => hubspot.get(`/crm/v4/objects/contacts/${encodeURIComponent(contactId)}/associations/${type}`, {
+    params: {
+      limit: page.limit,
+      after: page.after || undefined
+    }
+  }), { limit: MAX_PER_TYPE });
+  return {
+    ids: [...new Set(results.map(result => String(result.toObjectId)))],
+    truncated: !!after
+  };
+}
+
+function toItem(type, record) {
+  const properties = record.properties || {};
+  const item = ENGAGEMENT_TYPES[type].item(properties);
+  return {
+    id: String(record.id),
+    type,
+    timestamp: properties.hs_timestamp || record.createdAt || null,
+    title: item.title ?? null,
+    body: item.body ?? null,
+    status: item.status ?? null,
+    direction: item.direction ?? null,
+    ownerId: properties.hubspot_owner_id || null,
+    details: item.details,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+// Feed items of one type for a contact: { items, truncated }
+async function fetchEngagements(hubspot, contactId, type) {
+  const { ids, truncated } = await associatedIds(hubspot, contactId, type);
+  const items = [];
+  for (let index = 0; index < ids.length; index += BATCH_SIZE) {
+    const data = await hubspot.post(`/crm/v3/objects/${type}/batch/read`, {
+      inputs: ids.slice(index, index + BATCH_SIZE).map(id => ({ id })),
+      properties: ['hs_timestamp', 'hubspot_owner_id', ...ENGAGEMENT_TYPES[type].properties]
+    }, { idempotent: true });
+    items.push(...(data.results || []).map(record => toItem(type, record)));
+  }
+  return { items, truncated };
+}
+
+// The contact's feed, newest first unless order is 'asc'. Resolves to
+// { items, truncated } with truncated listing the types cut at MAX_PER_TYPE.
+async function buildTimeline(hubspot, contactId, { types = TIMELINE_TYPES, order = 'desc' } = {}) {
+  const items = [];
+  const truncated = [];
+  // One type at a time, to stay well inside the per-second rate limit
+  for (const type of types) {
+    const result = await fetchEngagements(hubspot, contactId, type);
+    items.push(...result.items);
+    if (result.truncated) truncated.push(type);
+  }
+
+  const time = item => (item.timestamp ? Date.parse(item.timestamp) || 0 : 0);
+  items.sort((a, b) => (order === 'asc' ? time(a) - time(b) : time(b) - time(a)) || a.id.localeCompare(b.id));
+  return { items, truncated };
+}
+
+module.exports = {
+  TIMELINE_TYPES,
+  buildTimeline
+};
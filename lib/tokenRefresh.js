@@ -0,0 +1,112 @@
+const { logger } = require('./logger');
+
+// Refreshes access tokens due within `margin`, from a timer or the cron route
+
+const DEFAULT_INTERVAL = 5 * 60 * 1000;
+const DEFAULT_MARGIN = 15 * 60 * 1000;
+const LAST_RUN_KEY = 'tokenrefresh:last';
+
+class TokenRefreshScheduler {
+  constructor({ tokenStore, hubspot, interval = DEFAULT_INTERVAL, margin = DEFAULT_MARGIN }) {
+    this.tokenStore = tokenStore;
+    this.hubspot = hubspot;
+    this.interval = interval;
+    this.margin = margin;
+    this.timer = null;
+    this.running = null;
+  }
+
+  // Refresh the tokens that are due. A run already in progress is shared.
+  runOnce() {
+    if (!this.running) {
+      this.running = this.refreshDue().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async refreshDue() {
+    const result = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      checked: 0,
+      refreshed: [],
+      revoked: [],
+      failed: [],
+      skipped: 0
+    };
+
+    for (const portal of await this.tokenStore.listPortals()) {
+      result.checked++;
+      if (portal.integrityError) {
+        result.failed.push({ portalId: portal.portalId, message: portal.integrityError });
+        continue;
+      }
+      // Already flagged, waiting for the portal to be reconnected
+      if (portal.revokedAt) {
+        result.revoked.push({ portalId: portal.portalId, revokedAt: portal.revokedAt, reason: portal.revokedReason });
+        continue;
+      }
+      if (!portal.refresh_token || (portal.expiry_date && portal.expiry_date - Date.now() > this.margin)) {
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        await this.hubspot.refresh(portal);
+        result.refreshed.push(portal.portalId);
+      } catch (error) {
+        if (error.revoked) {
+          result.revoked.push({ portalId: portal.portalId, revokedAt: new Date().toISOString(), reason: error.cause?.response?.data?.message || error.message });
+        } else {
+          result.failed.push({ portalId: portal.portalId, message: error.message });
+        }
+      }
+    }
+
+    result.finishedAt = new Date().toISOString();
+    await this.tokenStore.storage.set(LAST_RUN_KEY, result);
+    logger.info('Token refresh run finished', {
+      checked: result.checked,
+      refreshed: result.refreshed.length,
+      revoked: result.revoked.length,
+      failed: result.failed.length,
+      notDue: result.skipped
+    });
+    return result;
+  }
+
+  // Summary of the last run, from this or any other instance
+  async lastRun() {
+    return this.tokenStore.storage.get(LAST_RUN_KEY);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => {
+        logger.error('Scheduled token refresh failed', { error });
+      });
+    }, this.interval);
+    // Do not keep the process alive just for the timer
+    this.timer.unref();
+    logger.info('Token refresh timer started', { intervalMinutes: Math.round(this.interval / 60000) });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getStatus() {
+    return {
+      mode: this.timer ? 'timer' : 'cron',
+      intervalMs: this.timer ? this.interval : null,
+      marginMs: this.margin,
+      running: !!this.running
+    };
+  }
+}
+
+module.exports = TokenRefreshScheduler;
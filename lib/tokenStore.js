@@ -0,0 +1,183 @@
+const { IntegrityError } = require('./encryption');
+const { logger } = require('./logger');
+
+// Portals, sessions and API keys on top of a storage backend:
+//   portal:<hubId>   -> { portalId, hubDomain, scopes, access_token, refresh_token, expiry_date, ... }
+//   session:<id>     -> { portals: [hubId, ...], activePortal }
+//   apikey:<sha256>  -> { id, name, scopes, createdBy, createdAt, hash }
+// With a cipher, portal tokens are stored encrypted in `secrets`.
+
+const SECRET_FIELDS = ['access_token', 'refresh_token'];
+
+class TokenStore {
+  constructor(storage, { cipher = null } = {}) {
+    this.storage = storage;
+    this.cipher = cipher;
+  }
+
+  // Stored record -> portal with plain tokens. Throws IntegrityError.
+  decryptPortal(record) {
+    if (!record || !record.secrets) return record;
+    if (!this.cipher) {
+      throw new IntegrityError(`Tokens of portal ${record.portalId} are encrypted but TOKEN_ENCRYPTION_KEY is not set`);
+    }
+    const { secrets, ...portal } = record;
+    return { ...portal, ...this.cipher.decrypt(secrets, `portal:${record.portalId}`) };
+  }
+
+  encryptPortal(portal) {
+    if (!this.cipher) return portal;
+    const secrets = {};
+    const record = { ...portal };
+    for (const field of SECRET_FIELDS) {
+      secrets[field] = record[field];
+      delete record[field];
+    }
+    record.secrets = this.cipher.encrypt(secrets, `portal:${portal.portalId}`);
+    return record;
+  }
+
+  async getPortal(portalId) {
+    if (!portalId) return null;
+    return this.decryptPortal(await this.storage.get(`portal:${portalId}`));
+  }
+
+  async savePortal(record) {
+    let existing = null;
+    try {
+      existing = await this.getPortal(record.portalId);
+    } catch (error) {
+      // Reconnecting replaces tokens that can no longer be read
+      if (!(error instanceof IntegrityError)) throw error;
+      logger.warn('Replacing unreadable tokens', { portalId: record.portalId, error });
+      existing = null;
+    }
+    const portal = {
+      ...existing,
+      ...record,
+      portalId: String(record.portalId),
+      connectedAt: existing?.connectedAt || record.connectedAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    await this.storage.set(`portal:${portal.portalId}`, this.encryptPortal(portal));
+    return portal;
+  }
+
+  async deletePortal(portalId) {
+    await this.storage.delete(`portal:${portalId}`);
+  }
+
+  // Every connected portal; unreadable ones come without tokens, with integrityError
+  async listPortals() {
+    const keys = await this.storage.keys('portal:');
+    const records = await Promise.all(keys.map(key => this.storage.get(key)));
+    return records.filter(Boolean).map(record => {
+      try {
+        return this.decryptPortal(record);
+      } catch (error) {
+        const { secrets, ...portal } = record;
+        return { ...portal, integrityError: error.message };
+      }
+    });
+  }
+
+  // Re-encrypt every portal not yet encrypted with the current key
+  async rotateEncryption() {
+    if (!this.cipher) {
+      throw new Error('TOKEN_ENCRYPTION_KEY is not set');
+    }
+
+    const result = { total: 0, reencrypted: 0, failed: [] };
+    for (const key of await this.storage.keys('portal:')) {
+      const record = await this.storage.get(key);
+      if (!record) continue;
+      result.total++;
+      if (record.secrets && record.secrets.kid === this.cipher.currentKeyId) continue;
+
+      try {
+        await this.storage.set(key, this.encryptPortal(this.decryptPortal(record)));
+        result.reencrypted++;
+      } catch (error) {
+        result.failed.push({ portalId: record.portalId, message: error.message });
+      }
+    }
+    return result;
+  }
+
+  async getSession(sessionId) {
+    if (!sessionId) return null;
+    return this.storage.get(`session:${sessionId}`);
+  }
+
+  async saveSession(sessionId, session) {
+    const record = {
+      portals: [],
+      activePortal: null,
+      createdAt: new Date().toISOString(),
+      ...session,
+      updatedAt: new Date().toISOString()
+    };
+    await this.storage.set(`session:${sessionId}`, record);
+    return record;
+  }
+
+  // Attach a portal to a session and make it the active one
+  async bindSession(sessionId, portalId) {
+    const session = (await this.getSession(sessionId)) || {};
+    const id = String(portalId);
+    const portals = (session.portals || []).filter(existing => existing !== id);
+    portals.push(id);
+    return this.saveSession(sessionId, { ...session, portals, activePortal: id });
+  }
+
+  // Detach one portal (or every portal when portalId is omitted) from a session
+  async unbindSession(sessionId, portalId) {
+    const session = await this.getSession(sessionId);
+    if (!session) return null;
+
+    const portals = portalId ? session.portals.filter(existing => existing !== String(portalId)) : [];
+    if (portals.length === 0) {
+      await this.storage.delete(`session:${sessionId}`);
+      return null;
+    }
+
+    const activePortal = portals.includes(session.activePortal) ? session.activePortal : portals[portals.length - 1];
+    return this.saveSession(sessionId, { ...session, portals, activePortal });
+  }
+
+  async getApiKey(hash) {
+    if (!hash) return null;
+    return this.storage.get(`apikey:${hash}`);
+  }
+
+  async saveApiKey(hash, record) {
+    const apiKey = { createdAt: new Date().toISOString(), ...record, hash };
+    await this.storage.set(`apikey:${hash}`, apiKey);
+    return apiKey;
+  }
+
+  async listApiKeys() {
+    const keys = await this.storage.keys('apikey:');
+    const apiKeys = await Promise.all(keys.map(key => this.storage.get(key)));
+    return apiKeys.filter(Boolean);
+  }
+
+  // Revoke a key: drop the key record and its session
+  async deleteApiKey(hash) {
+    await this.storage.delete(`apikey:${hash}`);
+    await this.storage.delete(`session:key:${hash}`);
+  }
+
+  // The portal a request is for: a requested one the session has, or the active one
+  async resolvePortalId(sessionId, requestedPortalId) {
+    const session = await this.getSession(sessionId);
+    if (!session || session.portals.length === 0) return null;
+
+    if (requestedPortalId) {
+      return session.portals.includes(String(requestedPortalId)) ? String(requestedPortalId) : null;
+    }
+    return session.activePortal;
+  }
+}
+
+module.exports = TokenStore;
@@ -0,0 +1,117 @@
+// Validation of property values against an object schema before writes,
+// normalising them to what HubSpot expects
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function validateDate(value, type) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const time = Number(value);
+    if (type === 'date' && time % (24 * 60 * 60 * 1000) !== 0) {
+      return { error: 'must be midnight UTC when given as a timestamp' };
+    }
+    return { value: String(time) };
+  }
+
+  const text = String(value);
+  if (type === 'date') {
+    if (!DATE_PATTERN.test(text) || isNaN(Date.parse(text))) {
+      return { error: 'must be a date (YYYY-MM-DD)' };
+    }
+    return { value: text };
+  }
+  if (isNaN(Date.parse(text))) {
+    return { error: 'must be an ISO 8601 date-time or a timestamp in milliseconds' };
+  }
+  return { value: new Date(text).toISOString() };
+}
+
+function validateEnumeration(value, property) {
+  const allowed = (property.options || []).map(option => option.value);
+  // Checkbox properties hold several options separated by ';'
+  const multiple = property.fieldType === 'checkbox';
+  const values = Array.isArray(value) ? value.map(String) : multiple ? String(value).split(';') : [String(value)];
+
+  if (!multiple && values.length > 1) {
+    return { error: 'accepts a single option' };
+  }
+  const invalid = values.filter(item => !allowed.includes(item));
+  if (invalid.length > 0) {
+    return { error: `has invalid option${invalid.length > 1 ? 's' : ''} ${invalid.join(', ')} (allowed: ${allowed.join(', ')})` };
+  }
+  return { value: values.join(';') };
+}
+
+// Returns { value } with the normalised value, or { error }
+function validateValue(value, property) {
+  // Empty values clear the property
+  if (value === null || value === '') {
+    return { value: '' };
+  }
+  if (!isScalar(value) && !(property.type === 'enumeration' && Array.isArray(value))) {
+    return { error: 'must be a string, number or boolean' };
+  }
+
+  switch (property.type) {
+    case 'number':
+      if (!Number.isFinite(Number(value)) || typeof value === 'boolean') {
+        return { error: 'must be a number' };
+      }
+      return { value: String(value) };
+    case 'bool':
+      if (![true, false, 'true', 'false'].includes(value)) {
+        return { error: 'must be true or false' };
+      }
+      return { value: String(value) };
+    case 'date':
+    case 'datetime':
+      return validateDate(value, property.type);
+    case 'enumeration':
+      return validateEnumeration(value, property);
+    default:
+      if (property.name === 'email' && !EMAIL_PATTERN.test(String(value))) {
+        return { error: 'must be a valid email address' };
+      }
+      return { value: String(value) };
+  }
+}
+
+// Validate `properties` against a /crm/v3/schemas response: { errors, properties }
+function validateProperties(schema, properties) {
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    return { errors: ['properties must be an object of property names and values'], properties: null };
+  }
+
+  const definitions = new Map((schema.properties || []).map(property => [property.name, property]));
+  const errors = [];
+  const normalised = {};
+
+  for (const [name, value] of Object.entries(properties)) {
+    const property = definitions.get(name);
+    if (!property) {
+      errors.push(`${name}: unknown property`);
+      continue;
+    }
+    if (property.modificationMetadata?.readOnlyValue || property.calculated) {
+      errors.push(`${name}: property is read-only`);
+      continue;
+    }
+
+    const result = validateValue(value, property);
+    if (result.error) {
+      errors.push(`${name}: ${result.error}`);
+    } else {
+      normalised[name] = result.value;
+    }
+  }
+
+  return { errors, properties: errors.length ? null : normalised };
+}
+
+module.exports = {
+  validateProperties
+};
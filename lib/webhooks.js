@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { STANDARD_OBJECTS } = require('./schema');
+const { logger } = require('./logger');
+
+// HubSpot webhook helpers: v3 signature validation, dedupe and dispatch of
+// the event arrays HubSpot sends (and retries until it gets a 2xx).
+
+const MAX_TIMESTAMP_AGE = 5 * 60 * 1000; // HubSpot's recommended limit
+const SEEN_EVENTS_TTL = 24 * 60 * 60 * 1000;
+const MAX_SEEN_EVENTS = 50000;
+// How often stored event ids older than SEEN_EVENTS_TTL are swept
+const STORED_PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// Characters HubSpot decodes in the request URI before signing
+const DECODED_URI_CHARACTERS = {
+  '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+  '%27': "'", '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';'
+};
+
+// Legacy subscription prefixes (contact.creation, deal.deletion, ...)
+const EVENT_OBJECT_TYPES = {
+  contact: 'contacts',
+  company: 'companies',
+  deal: 'deals',
+  ticket: 'tickets',
+  product: 'products',
+  line_item: 'line_items'
+};
+
+function decodeUri(uri) {
+  return uri.replace(/%[0-9A-F]{2}/gi, match => DECODED_URI_CHARACTERS[match.toUpperCase()] || match);
+}
+
+// Check X-HubSpot-Signature-v3. Returns null when valid, otherwise the reason.
+function verifySignature({ clientSecret, method, uri, rawBody, signature, timestamp, now = Date.now() }) {
+  if (!signature || !timestamp) {
+    return 'Missing X-HubSpot-Signature-v3 or X-HubSpot-Request-Timestamp header';
+  }
+
+  const time = Number(timestamp);
+  if (!Number.isFinite(time) || Math.abs(now - time) > MAX_TIMESTAMP_AGE) {
+    return 'Request timestamp is too old';
+  }
+
+  const expected = crypto.createHmac('sha256', clientSecret)
+    .update(`${method}${decodeUri(uri)}${rawBody || ''}${timestamp}`)
+    .digest();
+  const received = Buffer.from(signature, 'base64');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return 'Invalid signature';
+  }
+  return null;
+}
+
+// contact.propertyChange -> { objectType: 'contacts', action: 'propertyChange' };
+// objectType is null for events not about CRM records
+function describeEvent(event) {
+  const [prefix, action] = String(event.subscriptionType || '').split('.');
+  if (prefix === 'object') {
+    const standard = STANDARD_OBJECTS.find(object => object.objectTypeId === event.objectTypeId);
+    return { objectType: standard ? standard.name : event.objectTypeId || null, action };
+  }
+  return { objectType: EVENT_OBJECT_TYPES[prefix] || null, action };
+}
+
+// Processed event keys are kept in memory, and as webhookevent:<key> with
+// redis or sqlite storage (not the file store, which rewrites the tokens file)
+const SHARED_DEDUPE_DRIVERS = ['redis', 'sqlite'];
+
+// eventId, or subscription, object and time when missing; null without those
+function eventKey(event) {
+  if (event.eventId !== undefined && event.eventId !== null) {
+    return String(event.eventId);
+  }
+  if (event.subscriptionId && event.objectId && event.occurredAt) {
+    return `${event.subscriptionId}:${event.objectId}:${event.occurredAt}`;
+  }
+  return null;
+}
+
+class WebhookDispatcher {
+  constructor({ storage = null } = {}) {
+    // subscriptionType (or '*') -> [handler]
+    this.handlers = new Map();
+    // event key -> time it was processed
+    this.seen = new Map();
+    this.storage = storage && SHARED_DEDUPE_DRIVERS.includes(storage.driver) ? storage : null;
+    this.lastStoredPrune = 0;
+  }
+
+  // Register a handler for a subscription type or '*'. It gets (events, { portalId });
+  // throwing answers 500 so HubSpot retries.
+  on(subscriptionType, handler) {
+    if (!this.handlers.has(subscriptionType)) {
+      this.handlers.set(subscriptionType, []);
+    }
+    this.handlers.get(subscriptionType).push(handler);
+    return this;
+  }
+
+  async prune() {
+    const cutoff = Date.now() - SEEN_EVENTS_TTL;
+    for (const [eventId, seenAt] of this.seen) {
+      if (seenAt > cutoff && this.seen.size <= MAX_SEEN_EVENTS) break;
+      this.seen.delete(eventId);
+    }
+
+    // Redis expires the stored ids itself, SQLite is swept
+    if (this.storage && this.storage.driver !== 'redis' && Date.now() - this.lastStoredPrune > STORED_PRUNE_INTERVAL) {
+      this.lastStoredPrune = Date.now();
+      for (const key of await this.storage.keys('webhookevent:')) {
+        const entry = await this.storage.get(key);
+        if (!entry || entry.seenAt < cutoff) {
+          await this.storage.delete(key);
+        }
+      }
+    }
+  }
+
+  async isSeen(eventId) {
+    if (this.seen.has(eventId)) return true;
+    return !!(this.storage && await this.storage.get(`webhookevent:${eventId}`));
+  }
+
+  async markSeen(eventId) {
+    const seenAt = Date.now();
+    this.seen.set(eventId, seenAt);
+    if (this.storage) {
+      await this.storage.set(`webhookevent:${eventId}`, { seenAt }, { ttlMs: SEEN_EVENTS_TTL });
+    }
+  }
+
+  async forget(eventId) {
+    this.seen.delete(eventId);
+    if (this.storage) {
+      await this.storage.delete(`webhookevent:${eventId}`);
+    }
+  }
+
+  // Dispatch a delivery, skipping processed events; failed ones can be retried
+  async dispatch(events) {
+    await this.prune();
+
+    const fresh = [];
+    let duplicates = 0;
+    for (const event of events) {
+      const key = eventKey(event);
+      if (key !== null) {
+        if (await this.isSeen(key)) {
+          duplicates++;
+          continue;
+        }
+        await this.markSeen(key);
+      }
+      fresh.push(event);
+    }
+
+    // Group by portal and subscription type so handlers can batch
+    const groups = new Map();
+    for (const event of fresh) {
+      const key = `${event.portalId}:${event.subscriptionType}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(event);
+    }
+
+    const failures = [];
+    for (const group of groups.values()) {
+      const { portalId, subscriptionType } = group[0];
+      const handlers = [...(this.handlers.get(subscriptionType) || []), ...(this.handlers.get('*') || [])];
+      for (const handler of handlers) {
+        try {
+          await handler(group, { portalId: String(portalId) });
+        } catch (error) {
+          logger.error('Webhook handler failed', { subscriptionType, portalId: String(portalId), error });
+          failures.push({ subscriptionType, portalId: String(portalId), message: error.message });
+          for (const event of group) {
+            const key = eventKey(event);
+            if (key !== null) await this.forget(key);
+          }
+          break;
+        }
+      }
+    }
+
+    return { received: events.length, processed: fresh.length, duplicates, failures };
+  }
+}
+
+module.exports = {
+  verifySignature,
+  describeEvent,
+  WebhookDispatcher
+};
@@ -1,102 +1,297 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const path = require('path');
-const fs = require('fs');
+const crypto = require('crypto');
+const { createStorage } = require('./lib/storage');
+const { importLegacyTokens } = require('./lib/legacyTokens');
+const { IntegrityError, createTokenCipher } = require('./lib/encryption');
+const TokenStore = require('./lib/tokenStore');
+const JobStore = require('./lib/jobStore');
+const TokenRefreshScheduler = require('./lib/tokenRefresh');
+const { HubSpotClient, RefreshError } = require('./lib/hubspotClient');
+const { sessionMiddleware, generateApiKey, hashApiKey } = require('./lib/session');
+const { SCOPES, hasScope, parseScopes, authMiddleware, requireScope, requireSameOrigin, requireCron } = require('./lib/auth');
+const { getRedirectUri, buildAuthorizeUrl, OAuthStateStore } = require('./lib/oauth');
+const { parseLimit, parseFetchAllMax, walkPages, collectPages, buildNextLink } = require('./lib/pagination');
+const { parseList, parseBoolean } = require('./lib/query');
+const { STANDARD_OBJECTS, getObjectSchema, listCustomSchemas, resolveObjectType, findUnknownProperties, clearSchemaCache } = require('./lib/schema');
+const { OPERATORS: SEARCH_OPERATORS, buildSearchRequest, searchBodyFromQuery } = require('./lib/search');
+const { EXPORT_FORMATS, parseFormat, flattenRecord, ExportWriter } = require('./lib/export');
+const { validateProperties } = require('./lib/validation');
+const { parseCsv } = require('./lib/csv');
+const { IMPORT_MODES, MAX_IMPORT_ROWS, runBatchImport, summarise } = require('./lib/batch');
+const { createMirror } = require('./lib/mirror');
+const { SyncInProgressError, runSync, refreshRecords, getSyncStatus } = require('./lib/sync');
+const { verifySignature, describeEvent, WebhookDispatcher } = require('./lib/webhooks');
+const { logger, redact, requestMiddleware } = require('./lib/logger');
+const { registry: metricsRegistry, metricsMiddleware } = require('./lib/metrics');
+const { createResponseCache } = require('./lib/responseCache');
+const { fetchProperties, describeProperty, snapshotProperties, diffProperties, PropertySnapshotStore } = require('./lib/properties');
+const { TIMELINE_TYPES, buildTimeline } = require('./lib/timeline');
+const { DUPLICATE_PROPERTIES, DEFAULT_MIN_CONFIDENCE, profileContact, scorePair, findDuplicates, previewMerge } = require('./lib/duplicates');
+const { TYPES: MAPPING_TYPES, isValidName, validateProfile, checkProfileProperties, createMapper, MappingStore } = require('./lib/mapping');
+const { BASE_SCOPE, CAPABILITIES, KNOWN_SCOPES, objectReadScopes, objectSchemaScopes, missingScopes, consentUrl, scopesFromError, describeCapabilities } = require('./lib/hubspotScopes');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Determine if running in production (Vercel) or development
 const isProduction = process.env.NODE_ENV === 'production';
+// Vercel sets VERCEL in its functions, which stop running once they answer
+const isServerless = !!process.env.VERCEL;
 
-// Path for storing tokens
-const TOKEN_PATH = path.join(__dirname, 'hubspot-tokens.json');
+// Token storage: tokens are kept per portal (hub_id) and bound to a browser
+// session or API key. The backend is picked from STORE_DRIVER / REDIS_URL,
+// tokens are encrypted with TOKEN_ENCRYPTION_KEY when it is set.
+const storage = createStorage();
+const tokenStore = new TokenStore(storage, { cipher: createTokenCipher() });
+
+// Background jobs (batch imports) share the same storage so they can be
+// polled from any instance
+const jobStore = new JobStore(storage);
+
+// Snapshots of property definitions, compared by the properties diff route
+const propertySnapshots = new PropertySnapshotStore(storage);
+
+// Mapping profiles applied by the read routes with ?mapping=<name>
+const mappingStore = new MappingStore(storage);
+
+// Signed OAuth state values for the install flow (single use with shared storage)
+const oauthStates = new OAuthStateStore(storage);
+
+// All HubSpot API calls go through this client (token refresh, retries, metrics)
+const hubspot = new HubSpotClient({
+  tokenStore,
+  baseUrl: process.env.HUBSPOT_API_BASE,
+  clientId: process.env.HUBSPOT_CLIENT_ID,
+  clientSecret: process.env.HUBSPOT_CLIENT_SECRET
+});
+
+// Refreshes tokens before they expire: on a timer when the server runs on
+// its own, from the cron route on Vercel
+const refreshIntervalMinutes = process.env.TOKEN_REFRESH_INTERVAL_MINUTES ? parseInt(process.env.TOKEN_REFRESH_INTERVAL_MINUTES) : 5;
+const tokenRefresh = new TokenRefreshScheduler({
+  tokenStore,
+  hubspot,
+  interval: refreshIntervalMinutes * 60 * 1000,
+  margin: (parseInt(process.env.TOKEN_REFRESH_MARGIN_MINUTES) || 15) * 60 * 1000
+});
+
+// Local copy of CRM records kept up to date by /api/sync/run, read by the
+// object routes with ?source=cache. The backend is picked from MIRROR_DRIVER.
+const mirror = createMirror();
+
+// Short-lived cache of read responses (ETags, per-route TTLs), invalidated
+// by writes and webhook events. CACHE_DRIVER picks the backend.
+const responseCache = createResponseCache();
+
+// Handlers for HubSpot webhook events (POST /webhooks/hubspot). Register
+// more with app.locals.webhooks.on('contact.creation', handler). With redis
+// or sqlite storage, retries are recognised by every instance.
+const webhooks = new WebhookDispatcher({ storage });
+app.locals.webhooks = webhooks;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Request ids (X-Request-Id) and a log entry per request, first so every
+// later log line carries the id
+app.use(requestMiddleware());
+// Request counts and latency per route for /metrics
+app.use(metricsMiddleware());
+// Cross-origin callers: CORS_ORIGINS is a comma-separated list of allowed
+// origins, or * for any. Without it only same-origin requests are allowed.
+const corsOrigins = parseList(process.env.CORS_ORIGINS);
+app.use(cors({
+  origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+  credentials: !corsOrigins.includes('*'),
+  exposedHeaders: ['X-Request-Id', 'ETag', 'X-Cache']
+}));
+app.use(express.json({
+  // Batch imports send thousands of records in one request
+  limit: '10mb',
+  // Webhook signatures are computed over the raw body
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks/')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
+app.use(sessionMiddleware({ secure: isProduction }));
+app.use(authMiddleware({ tokenStore }));
 
-// Store tokens globally (in a real app, use a database)
-let hubspotTokens = null;
+// Processing types accepted by the v3 Lists API search
+const LIST_PROCESSING_TYPES = ['MANUAL', 'DYNAMIC', 'SNAPSHOT'];
 
-// Load tokens from file if available (only works in development)
-try {
-  if (!isProduction && fs.existsSync(TOKEN_PATH)) {
-    const tokenData = fs.readFileSync(TOKEN_PATH, 'utf8');
-    hubspotTokens = JSON.parse(tokenData);
-    console.log('Loaded tokens from file');
-  } else {
-    console.log('No saved tokens found or running in production');
+// Map a failed HubSpot call to a response. Refresh failures become a 401,
+// rate limiting a 429 and requests HubSpot rejected as invalid a 400;
+// anything else is a 500 with the route's error body.
+function sendHubSpotError(res, error, body) {
+  if (error instanceof RefreshError) {
+    return res.status(401).json({
+      error: 'Authentication failed',
+      message: error.message,
+      authUrl: '/auth/hubspot'
+    });
+  }
+  
+  // The connection lacks a scope the call needed
+  if (error.response?.status === 403) {
+    const missing = scopesFromError(error);
+    return res.status(403).json({
+      ...body,
+      error: 'Missing HubSpot scopes',
+      message: error.response.data?.message || error.message,
+      missingScopes: missing,
+      consentUrl: missing.length > 0
+        ? consentUrl(missing, { portalId: res.req.portal?.portalId, returnTo: res.req.method === 'GET' ? res.req.originalUrl : undefined })
+        : '/auth/hubspot',
+      details: error.response.data
+    });
+  }
+  
+  if (error.response?.status === 429) {
+    return res.status(429).json({
+      error: 'HubSpot rate limit reached',
+      message: error.message,
+      retryAfter: error.response.headers?.['retry-after'] || null
+    });
   }
-} catch (error) {
-  console.error('Error loading tokens from file:', error.message);
+  
+  res.status(error.response?.status === 400 ? 400 : 500).json({
+    ...body,
+    message: error.message,
+    details: error.response?.data
+  });
 }
 
-// Function to save tokens to file
-function saveTokens(tokens) {
+// Attach the caller's HubSpot portal (if any) to req.portal. A specific
+// portal can be picked with ?portalId= or the X-HubSpot-Portal-Id header;
+// admins can pick any connected portal.
+async function loadPortal(req, res, next) {
   try {
-    // In prod (serverless), dont save tokens to file
-    if (isProduction) {
-      console.log('Running in production, skipping token file save');
-      return;
+    const requested = req.query.portalId || req.get('x-hubspot-portal-id');
+    const portalId = requested && hasScope(req.auth.scopes, 'admin')
+      ? String(requested)
+      : await tokenStore.resolvePortalId(req.sessionId, requested);
+    req.portal = await tokenStore.getPortal(portalId);
+    req.hubspot = req.portal ? hubspot.forPortal(req.portal) : null;
+
+    // The portal was disconnected elsewhere, drop the stale binding
+    if (portalId && !req.portal) {
+      await tokenStore.unbindSession(req.sessionId, portalId);
     }
-    
-    fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokens, null, 2));
-    console.log('Tokens saved to file');
+    next();
   } catch (error) {
-    console.error('Error saving tokens to file:', error.message);
+    // Stored tokens that fail decryption are never used
+    if (error instanceof IntegrityError) {
+      logger.error('Refusing stored tokens', { error });
+      return res.status(401).json({
+        error: 'Stored tokens are unreadable',
+        message: 'The stored tokens for this portal failed their integrity check, connect the portal again',
+        authUrl: '/auth/hubspot'
+      });
+    }
+    next(error);
   }
 }
 
-// Token refresh helper function
-async function refreshToken() {
-  if (!hubspotTokens || !hubspotTokens.refresh_token) {
-    console.log('No refresh token available');
-    return false;
+// Require a connected portal and make sure its access token is fresh
+async function requirePortal(req, res, next) {
+  if (!req.portal || !req.portal.access_token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      authUrl: '/auth/hubspot'
+    });
+  }
+  
+  // HubSpot rejected the refresh token, only a new authorization helps
+  if (req.portal.revokedAt) {
+    return res.status(401).json({
+      error: 'Connection revoked',
+      message: `HubSpot rejected the refresh token of portal ${req.portal.portalId} (${req.portal.revokedReason || 'revoked'}), connect it again`,
+      revokedAt: req.portal.revokedAt,
+      authUrl: `/auth/hubspot?portalId=${encodeURIComponent(req.portal.portalId)}`
+    });
   }
 
+  // Refresh the token now if it is about to expire
   try {
-    const refreshToken = hubspotTokens.refresh_token;
-    const clientId = process.env.HUBSPOT_CLIENT_ID;
-    const clientSecret = process.env.HUBSPOT_CLIENT_SECRET;
-
-    const response = await axios.post('https://api.hubapi.com/oauth/v1/token', {
-      refresh_token: refreshToken,
-      client_id: clientId,
-      client_secret: clientSecret,
-      grant_type: 'refresh_token'
+    req.portal = await hubspot.ensureFreshToken(req.portal);
+    req.hubspot = hubspot.forPortal(req.portal);
+  } catch (error) {
+    return res.status(401).json({
+      error: 'Authentication failed',
+      message: 'Failed to refresh authentication token',
+      authUrl: '/auth/hubspot'
     });
+  }
+
+  next();
+}
 
-    if (response.data && response.data.access_token) {
-      // Update the tokens
-      hubspotTokens = {
-        ...hubspotTokens,
-        access_token: response.data.access_token,
-        refresh_token: response.data.refresh_token,
-        expires_in: response.data.expires_in,
-        expiry_date: Date.now() + (response.data.expires_in * 1000)
-      };
+// The HubSpot scopes granted to req.portal. Portals connected before the
+// scopes were stored get them from the token info endpoint once.
+async function grantedScopes(req) {
+  if (!Array.isArray(req.portal.scopes)) {
+    const tokenInfo = await hubspot.getTokenInfo(req.portal.access_token);
+    req.portal = await tokenStore.savePortal({ ...req.portal, scopes: tokenInfo.scopes || [] });
+    req.hubspot = hubspot.forPortal(req.portal);
+  }
+  return req.portal.scopes;
+}
 
-      // Save the updated tokens
-      saveTokens(hubspotTokens);
-      console.log('Token refreshed successfully');
-      return true;
+// Check the connection has the HubSpot scopes in `required`. Otherwise
+// sends a 403 naming the missing ones, with a URL to grant just those, and
+// returns false.
+async function checkHubSpotScopes(req, res, required) {
+  const missing = missingScopes(await grantedScopes(req), required);
+  if (missing.length === 0) {
+    return true;
+  }
+  res.status(403).json({
+    error: 'Missing HubSpot scopes',
+    message: `The HubSpot connection has not been granted ${missing.join(', ')}`,
+    requiredScopes: required,
+    missingScopes: missing,
+    consentUrl: consentUrl(missing, { portalId: req.portal.portalId, returnTo: req.method === 'GET' ? req.originalUrl : undefined }),
+    links: {
+      capabilities: '/api/hubspot/capabilities'
     }
-    return false;
-  } catch (error) {
-    console.error('Error refreshing token:', error.message);
-    if (error.response) {
-      console.error('Error details:', error.response.data);
+  });
+  return false;
+}
+
+// Route middleware declaring the HubSpot scopes a route needs (after
+// requirePortal). `scopes` is a list, or a function of the request for
+// routes whose needs depend on it.
+function requireHubSpotScopes(scopes) {
+  return async (req, res, next) => {
+    try {
+      if (await checkHubSpotScopes(req, res, typeof scopes === 'function' ? scopes(req) : scopes)) {
+        next();
+      }
+    } catch (error) {
+      logger.error('Error reading granted scopes', { error });
+      sendHubSpotError(res, error, {
+        error: 'Failed to read granted scopes'
+      });
     }
-    return false;
-  }
+  };
 }
 
 // Routes
 app.get('/', (req, res) => {
+  // The scopes /auth/hubspot requests and what each one is used for
+  const scopeItems = [
+    ...OAUTH_SCOPE.split(' ').map(scope => ({ scope, optional: false })),
+    ...OAUTH_OPTIONAL_SCOPE.split(' ').map(scope => ({ scope, optional: true }))
+  ].map(({ scope, optional }) => {
+    const uses = scope === BASE_SCOPE
+      ? ['Base authentication scope']
+      : CAPABILITIES.filter(capability => capability.scopes.includes(scope)).map(capability => capability.description);
+    return `<li><code>${scope}</code> - ${uses.join('; ')}${optional ? ' (optional)' : ''}</li>`;
+  }).join('\n        ');
+  
   const html = `
   <!DOCTYPE html>
   <html lang="en">
@@ -127,6 +322,8 @@ app.get('/', (req, res) => {
         text-decoration: none;
         border-radius: 4px;
         font-weight: 500;
+        border: none;
+        font: inherit;
         cursor: pointer;
         transition: background-color 0.2s;
       }
@@ -174,14 +371,20 @@ app.get('/', (req, res) => {
       <h2>Authentication</h2>
       <p>Connect your HubSpot account to access your CRM data. The following scopes will be requested:</p>
       <ul>
-        <li><code>crm.lists.read</code> - Read access to contact lists</li>
-        <li><code>crm.schemas.contacts.read</code> - Read access to contact schemas</li>
-        <li><code>oauth</code> - Base authentication scope</li>
+        ${scopeItems}
       </ul>
+      <p>See what the current connection can do at <a href="/api/hubspot/capabilities">/api/hubspot/capabilities</a>.</p>
       <p>
         <a href="/auth/hubspot" class="btn">Connect HubSpot</a>
         <a href="/auth/hubspot?force=true" class="btn">Force New Connection</a>
-        <a href="/auth/logout" class="btn btn-secondary">Logout</a>
+      </p>
+      <form method="post" action="/auth/logout">
+        <button type="submit" class="btn btn-secondary">Logout</button>
+      </form>
+      <p>Connect again to add another portal. Pick a portal per request with <code>?portalId=</code> or the <code>X-HubSpot-Portal-Id</code> header.</p>
+      <p>
+        <a href="/api/hubspot/portals" class="btn btn-secondary">Connected Portals</a>
+        <a href="/api/connections?verify=true" class="btn btn-secondary">Check Connections</a>
       </p>
     </div>
     
@@ -191,12 +394,18 @@ app.get('/', (req, res) => {
       <p>
         <a href="/api/hubspot/contacts" class="btn btn-secondary">View Contacts</a>
         <a href="/api/hubspot/lists" class="btn btn-secondary">View Lists</a>
+        <a href="/api/hubspot/schemas" class="btn btn-secondary">View Object Types</a>
+        <a href="/api/hubspot/properties/contacts" class="btn btn-secondary">Contact Properties</a>
+      </p>
+      <p>Add <code>?source=cache</code> to read contacts and objects from the local mirror, filled by <code>POST /api/sync/run</code>.</p>
+      <p>
+        <a href="/api/sync/status" class="btn btn-secondary">Sync Status</a>
       </p>
     </div>
     
     <div class="card">
       <h2>Debug & Status</h2>
-      <p>Use these endpoints to check connection status and debug any issues:</p>
+      <p>Use these endpoints to check connection status and debug any issues. The debug endpoints require an API key with the <code>admin</code> scope.</p>
       <p>
         <a href="/api/hubspot/check-token" class="btn btn-secondary">Check Token Status</a>
         <a href="/api/hubspot/debug" class="btn btn-secondary">Simple Debug</a>
@@ -214,384 +423,2177 @@ app.get('/', (req, res) => {
   res.send(html);
 });
 
-// HubSpot OAuth routes
-app.get('/auth/hubspot', (req, res) => {
-  const clientId = process.env.HUBSPOT_CLIENT_ID;
-  
-  // Determine the appropriate redirect URI based on environment
-  let redirectUri;
-  if (isProduction) {
-    // Use production URL
-    redirectUri = encodeURIComponent('https://hubspot-crm-connector.vercel.app/oauth/callback');
-  } else {
-    // Use localhost for development
-    redirectUri = encodeURIComponent('http://localhost:5000/oauth/callback');
+// Scopes requested by the install flow. Standard objects beyond contacts
+// are optional scopes, so the connection still works when the app is not
+// configured for them.
+const OAUTH_SCOPE = 'crm.lists.read crm.objects.contacts.read crm.objects.contacts.write crm.objects.custom.read crm.schemas.contacts.read crm.schemas.custom.read oauth';
+const OAUTH_OPTIONAL_SCOPE = 'crm.objects.companies.read crm.objects.deals.read crm.schemas.companies.read crm.schemas.deals.read sales-email-read tickets';
+
+// HubSpot authorize URL with a signed, single-use state tied to this
+// session, checked by the callback. `scopes` asks for just those scopes
+// (incremental consent) instead of the full set.
+async function createAuthorizeUrl(req, { returnTo, portalId, scopes, replace } = {}) {
+  const state = await oauthStates.create(req.sessionId, { returnTo, portalId, replace });
+  return buildAuthorizeUrl({
+    clientId: process.env.HUBSPOT_CLIENT_ID,
+    // Must match a redirect URL configured in the HubSpot app
+    redirectUri: getRedirectUri(),
+    scope: scopes ? [...new Set([BASE_SCOPE, ...scopes])].join(' ') : OAUTH_SCOPE,
+    optionalScope: scopes ? undefined : OAUTH_OPTIONAL_SCOPE,
+    state
+  });
+}
+
+// Disconnect a portal: revoke its refresh token at HubSpot, then drop the stored
+// tokens even when that fails. The result says whether it was revoked.
+async function disconnectPortal(portalId, sessionId) {
+  const result = { portalId, revoked: false };
+  let portal = null;
+  try {
+    portal = await tokenStore.getPortal(portalId);
+  } catch (error) {
+    // Unreadable tokens cannot be revoked, only removed
+    if (!(error instanceof IntegrityError)) throw error;
+    result.revokeError = error.message;
   }
-  
-  // Updated scopes to match what's configured in HubSpot developer portal
-  const scope = encodeURIComponent('crm.lists.read crm.objects.contacts.read crm.objects.custom.read crm.schemas.contacts.read crm.schemas.custom.read oauth');
-  
-  // Add force parameter to bypass previously granted permissions
-  const forceReauth = req.query.force === 'true';
-  
-  // If the force parameter is true, delete any existing tokens to ensure fresh auth
-  if (forceReauth && hubspotTokens) {
-    console.log('Force reauthorization requested, clearing tokens');
-    hubspotTokens = null;
-    
-    // Remove tokens file(in dev)
+
+  if (portal?.refresh_token) {
     try {
-      if (!isProduction && fs.existsSync(TOKEN_PATH)) {
-        fs.unlinkSync(TOKEN_PATH);
-        console.log('Tokens file deleted');
+      result.revoked = await hubspot.revokeRefreshToken(portal.refresh_token);
+      if (!result.revoked) {
+        result.revokeError = 'HubSpot no longer knew the refresh token';
       }
     } catch (error) {
-      console.error('Error deleting tokens file:', error.message);
+      logger.error(`Error revoking refresh token of portal ${portalId}`, { error });
+      result.revokeError = error.message;
     }
   }
+
+  if (sessionId) {
+    await tokenStore.unbindSession(sessionId, portalId);
+  }
+  await tokenStore.deletePortal(portalId);
+  hubspot.forget(portalId);
+  clearSchemaCache(portalId);
+  logger.info('Disconnected portal', { portalId, revoked: result.revoked });
+  return result;
+}
+
+// HubSpot OAuth routes
+app.get('/auth/hubspot', requireScope('write'), async (req, res) => {
+  // force=true starts a new connection even when the session has one. The
+  // stored tokens are only replaced, and the old refresh token revoked,
+  // once the callback has the new ones.
+  const forceReauth = req.query.force === 'true';
   
-  const authUrl = `https://app-na2.hubspot.com/oauth/authorize?client_id=${clientId}&redirect_uri=${redirectUri}&scope=${scope}`;
+  // ?scope= asks for specific scopes (the consent URLs of missing-scope
+  // errors), ?portalId= makes sure the same portal is authorized
+  const scopes = req.query.scope ? String(req.query.scope).split(/[\s,]+/).filter(Boolean) : null;
+  const unknown = (scopes || []).filter(scope => !KNOWN_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return res.status(400).send(`Authentication failed: unknown scopes ${unknown.join(', ')}`);
+  }
   
-  console.log(`Redirecting to HubSpot authorization page: ${authUrl}`);
-  res.redirect(authUrl);
+  try {
+    const authUrl = await createAuthorizeUrl(req, {
+      returnTo: req.query.returnTo,
+      portalId: req.query.portalId,
+      scopes,
+      replace: forceReauth
+    });
+    
+    // The URL carries the state, only log where it goes and what it asks for
+    logger.info('Redirecting to HubSpot authorization page', { host: new URL(authUrl).host, scopes: new URL(authUrl).searchParams.get('scope') });
+    res.redirect(authUrl);
+  } catch (error) {
+    logger.error('Error starting authorization', { error });
+    res.status(500).send(`Authentication failed: ${error.message}`);
+  }
 });
 
 // HubSpot OAuth callback
 app.get('/oauth/callback', async (req, res) => {
-  const { code } = req.query;
-  
-  if (!code) {
-    console.error('No code provided in callback');
-    return res.status(400).send('Authentication failed: No authorization code provided');
-  }
+  const { code, state, error: oauthError, error_description: errorDescription } = req.query;
   
   try {
-    console.log('Exchanging authorization code for tokens...');
+    // Check the state first: it is single use, even when HubSpot reports an error
+    const checked = await oauthStates.consume(state, req.sessionId);
     
-    const clientId = process.env.HUBSPOT_CLIENT_ID;
-    const clientSecret = process.env.HUBSPOT_CLIENT_SECRET;
+    // HubSpot redirects back with ?error= when the user denies access or
+    // the app is misconfigured
+    if (oauthError) {
+      logger.warn('HubSpot authorization error', { oauthError, errorDescription });
+      return res.status(oauthError === 'access_denied' ? 403 : 400)
+        .send(`Authentication failed: ${errorDescription || oauthError}`);
+    }
     
-    // Use the correct redirect URI based on environment
-    let redirectUri;
-    if (isProduction) {
-      redirectUri = 'https://hubspot-crm-connector.vercel.app/oauth/callback';
-    } else {
-      redirectUri = 'http://localhost:5000/oauth/callback';
+    if (checked.error) {
+      logger.warn('Rejected OAuth callback', { reason: checked.error });
+      return res.status(400).send(`Authentication failed: ${checked.error}`);
     }
     
-    // Exchange code for tokens
-    const response = await axios.post('https://api.hubapi.com/oauth/v1/token', null, {
-      params: {
-        grant_type: 'authorization_code',
-        client_id: clientId,
-        client_secret: clientSecret,
-        redirect_uri: redirectUri,
-        code
-      }
-    });
+    if (!code) {
+      logger.warn('No code provided in callback');
+      return res.status(400).send('Authentication failed: No authorization code provided');
+    }
     
-    console.log('Token exchange successful:', {
-      tokenType: response.data.token_type,
-      expiresIn: response.data.expires_in,
-      hasAccessToken: !!response.data.access_token,
-      hasRefreshToken: !!response.data.refresh_token
+    // Exchange code for tokens (the redirect URI must match the authorize request)
+    const tokens = await hubspot.exchangeCode(code, getRedirectUri());
+    
+    logger.info('Token exchange successful', {
+      tokenType: tokens.token_type,
+      expiresIn: tokens.expires_in,
+      hasAccessToken: !!tokens.access_token,
+      hasRefreshToken: !!tokens.refresh_token
     });
     
-    // Store tokens
-    hubspotTokens = {
-      access_token: response.data.access_token,
-      refresh_token: response.data.refresh_token,
-      expiry_date: Date.now() + (response.data.expires_in * 1000)
-    };
+    // Look up which portal (hub) the token belongs to
+    const tokenInfo = await hubspot.getTokenInfo(tokens.access_token);
     
-    // Save tokens to file
-    saveTokens(hubspotTokens);
+    // A reconnect must authorize the same portal, otherwise the new tokens
+    // are revoked again rather than connecting another account
+    if (checked.portalId && String(tokenInfo.hub_id) !== checked.portalId) {
+      logger.warn('Reconnect authorized a different portal', { portalId: checked.portalId, authorizedPortalId: String(tokenInfo.hub_id) });
+      await hubspot.revokeRefreshToken(tokens.refresh_token).catch(error => {
+        logger.error('Error revoking refresh token', { error });
+      });
+      return res.status(400).send(`Authentication failed: portal ${tokenInfo.hub_id} was authorized, but the reconnect was for portal ${checked.portalId}`);
+    }
     
-    // Redirect to contacts view after authentication
-    res.redirect('/api/hubspot/contacts');
-  } catch (error) {
-    console.error('Error during OAuth callback:', error.message);
+    // A forced reconnect revokes the refresh token it replaces
+    const previous = checked.replace ? await tokenStore.getPortal(String(tokenInfo.hub_id)).catch(() => null) : null;
     
-    if (error.response) {
-      console.error('OAuth error response:', {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        data: error.response.data
+    // Store tokens keyed by portal and bind the portal to this session
+    const portal = await tokenStore.savePortal({
+      portalId: String(tokenInfo.hub_id),
+      hubDomain: tokenInfo.hub_domain,
+      user: tokenInfo.user,
+      userId: tokenInfo.user_id,
+      appId: tokenInfo.app_id,
+      scopes: tokenInfo.scopes,
+      access_token: tokens.access_token,
+      refresh_token: tokens.refresh_token,
+      expiry_date: Date.now() + (tokens.expires_in * 1000),
+      // New tokens replace a revoked refresh token
+      revokedAt: null,
+      revokedReason: null
+    });
+    await tokenStore.bindSession(req.sessionId, portal.portalId);
+    logger.info('Connected portal', { portalId: portal.portalId, hubDomain: portal.hubDomain });
+    if (previous?.refresh_token && previous.refresh_token !== tokens.refresh_token) {
+      await hubspot.revokeRefreshToken(previous.refresh_token).catch(error => {
+        logger.error('Error revoking replaced refresh token', { error });
       });
     }
     
+    // Back to where the flow started, or the contacts view
+    res.redirect(checked.returnTo || '/api/hubspot/contacts');
+  } catch (error) {
+    logger.error('Error during OAuth callback', { error });
     res.status(500).send(`Authentication failed: ${error.message}`);
   }
 });
 
-// logout endpoint
-app.get('/auth/logout', (req, res) => {
-  hubspotTokens = null;
-  
-  // Remove tokens file(in dev)
+// logout endpoint, disconnects one portal (?portalId=) or every portal of the session
+app.post('/auth/logout', requireScope('write'), requireSameOrigin({ allowedOrigins: corsOrigins }), async (req, res) => {
   try {
-    if (!isProduction && fs.existsSync(TOKEN_PATH)) {
-      fs.unlinkSync(TOKEN_PATH);
-      console.log('Tokens file deleted');
+    const session = await tokenStore.getSession(req.sessionId);
+    const portalIds = req.query.portalId
+      ? (session?.portals || []).filter(id => id === String(req.query.portalId))
+      : (session?.portals || []);
+    
+    // Refresh tokens are revoked at HubSpot, not just forgotten
+    const results = [];
+    for (const portalId of portalIds) {
+      results.push(await disconnectPortal(portalId, req.sessionId));
     }
+    
+    res.json({
+      status: 'success',
+      message: 'Logged out successfully',
+      disconnected: portalIds,
+      revoked: results.filter(result => result.revoked).map(result => result.portalId),
+      results,
+      authUrl: '/auth/hubspot'
+    });
   } catch (error) {
-    console.error('Error deleting tokens file:', error.message);
+    logger.error('Error during logout', { error });
+    res.status(500).json({
+      error: 'Logout failed',
+      message: error.message
+    });
   }
-  
-  res.json({
-    status: 'success',
-    message: 'Logged out successfully',
-    authUrl: '/auth/hubspot'
-  });
 });
 
-// Check token status endpoint
-app.get('/api/hubspot/check-token', (req, res) => {
-  const hasToken = !!hubspotTokens;
-  const isExpired = hasToken && hubspotTokens.expiry_date ? Date.now() >= hubspotTokens.expiry_date : true;
+// Check token status endpoint. ?verify=true also asks HubSpot whether it
+// still accepts the token (refreshing it first if needed).
+app.get('/api/hubspot/check-token', requireScope('read'), loadPortal, async (req, res) => {
+  const hasToken = !!req.portal;
+  const isRevoked = hasToken && !!req.portal.revokedAt;
+  
+  // Verifying refreshes an expired token, so check expiry afterwards
+  let verified;
+  if (hasToken && !isRevoked && req.query.verify === 'true') {
+    verified = await verifyConnection(req.portal);
+  }
+  const isExpired = hasToken && req.portal.expiry_date ? Date.now() >= req.portal.expiry_date : true;
+  
+  let action = 'authentication needed';
+  if (isRevoked || verified?.valid === false) action = 'reconnect needed';
+  else if (hasToken) action = isExpired ? 'refresh needed' : 'token valid';
   
   res.json({
     hasToken,
     isExpired,
-    action: hasToken ? (isExpired ? "refresh needed" : "token valid") : "authentication needed",
+    isRevoked,
+    revokedAt: isRevoked ? req.portal.revokedAt : undefined,
+    verified,
+    portalId: req.portal ? req.portal.portalId : null,
+    action,
     links: {
       auth: '/auth/hubspot',
       forceAuth: '/auth/hubspot?force=true', // Link to force reauthorization
-      logout: '/auth/logout'
+      logout: 'POST /auth/logout',
+      portals: '/api/hubspot/portals',
+      connections: '/api/connections',
+      capabilities: '/api/hubspot/capabilities',
+      verify: '/api/hubspot/check-token?verify=true'
     }
   });
 });
 
-// Debug endpoint to check HubSpot tokens and API
-app.get('/api/hubspot/debug', async (req, res) => {
+// What the current connection can do with the scopes it was granted.
+// ?refresh=true reads the granted scopes from HubSpot again, e.g. after
+// granting more in the HubSpot app settings.
+app.get('/api/hubspot/capabilities', requireScope('read'), loadPortal, requirePortal, async (req, res) => {
   try {
-    // Display current token info
-    const tokenInfo = {
-      hasToken: !!hubspotTokens,
-      accessToken: hubspotTokens ? hubspotTokens.access_token.substring(0, 10) + '...' : null,
-      hasRefreshToken: !!hubspotTokens?.refresh_token,
-      expiry: hubspotTokens ? new Date(hubspotTokens.expiry_date).toISOString() : null,
-      isExpired: hubspotTokens ? Date.now() >= hubspotTokens.expiry_date : null
-    };
+    const refresh = parseBoolean(req.query.refresh);
+    if (refresh === null) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: 'refresh must be true or false'
+      });
+    }
+    if (refresh) {
+      const tokenInfo = await hubspot.getTokenInfo(req.portal.access_token);
+      req.portal = await tokenStore.savePortal({ ...req.portal, scopes: tokenInfo.scopes || [] });
+    }
     
-    // Try to make a test API call
-    let apiResponse = null;
-    let apiError = null;
+    const granted = await grantedScopes(req);
+    const capabilities = describeCapabilities(granted, { portalId: req.portal.portalId });
+    const missing = [...new Set(capabilities.flatMap(capability => capability.missingScopes))];
     
-    if (hubspotTokens && hubspotTokens.access_token) {
-      try {
-        const response = await axios.get('https://api.hubapi.com/crm/v3/schemas/contacts', {
-          headers: {
-            'Authorization': `Bearer ${hubspotTokens.access_token}`
-          }
-        });
-        apiResponse = {
-          status: response.status,
-          hasData: !!response.data,
-          properties: response.data.properties ? Object.keys(response.data.properties).length : 0
-        };
-      } catch (error) {
-        apiError = {
-          message: error.message,
-          status: error.response?.status,
-          data: error.response?.data
-        };
-        
-        // If we get a 401, try to refresh the token
-        if (error.response?.status === 401) {
-          const refreshed = await refreshToken();
-          if (refreshed) {
-            try {
-              const retryResponse = await axios.get('https://api.hubapi.com/crm/v3/schemas/contacts', {
-                headers: {
-                  'Authorization': `Bearer ${hubspotTokens.access_token}`
-                }
-              });
-              apiResponse = {
-                status: retryResponse.status,
-                hasData: !!retryResponse.data,
-                properties: retryResponse.data.properties ? Object.keys(retryResponse.data.properties).length : 0,
-                note: "This was after token refresh"
-              };
-            } catch (retryError) {
-              apiError.retryError = {
-                message: retryError.message,
-                status: retryError.response?.status,
-                data: retryError.response?.data
-              };
-            }
-          } else {
-            apiError.refreshResult = "Token refresh failed";
-          }
-        }
+    res.json({
+      status: 'success',
+      portalId: req.portal.portalId,
+      grantedScopes: granted,
+      capabilities,
+      links: {
+        consentAll: missing.length > 0 ? consentUrl(missing, { portalId: req.portal.portalId, returnTo: '/api/hubspot/capabilities' }) : undefined,
+        refresh: '/api/hubspot/capabilities?refresh=true'
       }
+    });
+  } catch (error) {
+    logger.error('Error reading capabilities', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to read capabilities'
+    });
+  }
+});
+
+// List the portals connected to this session
+app.get('/api/hubspot/portals', requireScope('read'), async (req, res) => {
+  try {
+    const session = await tokenStore.getSession(req.sessionId);
+    const portals = [];
+    
+    for (const portalId of session?.portals || []) {
+      const portal = await tokenStore.getPortal(portalId);
+      if (!portal) continue;
+      portals.push({
+        portalId: portal.portalId,
+        hubDomain: portal.hubDomain,
+        user: portal.user,
+        active: portal.portalId === session.activePortal,
+        connectedAt: portal.connectedAt
+      });
     }
     
     res.json({
-      tokenInfo,
-      apiResponse,
-      apiError,
-      env: {
-        hasAppId: !!process.env.HUBSPOT_APP_ID,
-        hasClientId: !!process.env.HUBSPOT_CLIENT_ID,
-        hasClientSecret: !!process.env.HUBSPOT_CLIENT_SECRET
+      status: 'success',
+      count: portals.length,
+      portals,
+      links: {
+        connect: '/auth/hubspot',
+        connections: '/api/connections',
+        apiKey: '/api/session/api-key'
       }
     });
   } catch (error) {
+    logger.error('Error listing portals', { error });
     res.status(500).json({
-      error: "Debug endpoint error",
+      error: 'Failed to list portals',
       message: error.message
     });
   }
 });
 
-// Get contacts from HubSpot
-app.get('/api/hubspot/contacts', async (req, res) => {
+// Connected portals the caller can manage: those of its session, or every
+// portal for admins. Portals whose stored tokens cannot be decrypted are
+// included with integrityError set.
+async function visibleConnections(req) {
+  const session = await tokenStore.getSession(req.sessionId);
+  const portals = hasScope(req.auth.scopes, 'admin')
+    ? await tokenStore.listPortals()
+    : (await tokenStore.listPortals()).filter(portal => (session?.portals || []).includes(portal.portalId));
+  return { session, portals };
+}
+
+function describeConnection(portal, session) {
+  return {
+    portalId: portal.portalId,
+    hubDomain: portal.hubDomain || null,
+    user: portal.user || null,
+    userId: portal.userId || null,
+    scopes: portal.scopes || [],
+    connectedAt: portal.connectedAt || null,
+    updatedAt: portal.updatedAt || null,
+    tokenExpiresAt: portal.expiry_date ? new Date(portal.expiry_date).toISOString() : null,
+    active: portal.portalId === session?.activePortal,
+    status: portal.integrityError ? 'unreadable' : 'connected',
+    error: portal.integrityError || undefined
+  };
+}
+
+// Check a connection against HubSpot's token info endpoint and keep the
+// stored hub domain, user and scopes in line with what it reports
+async function verifyConnection(portal) {
+  if (portal.integrityError) {
+    return { valid: false, error: portal.integrityError };
+  }
   try {
-    // Check if we have tokens
-    if (!hubspotTokens || !hubspotTokens.access_token) {
-      return res.status(401).json({
-        error: 'Authentication required',
-        authUrl: '/auth/hubspot'
-      });
-    }
-    
-    // Check if token needs refresh
-    if (hubspotTokens.expiry_date && Date.now() >= hubspotTokens.expiry_date - 5 * 60 * 1000) {
-      console.log('Token expired or about to expire, refreshing...');
-      const refreshed = await refreshToken();
-      if (!refreshed) {
-        return res.status(401).json({
-          error: 'Authentication failed',
-          message: 'Failed to refresh authentication token',
-          authUrl: '/auth/hubspot'
-        });
-      }
+    const fresh = await hubspot.ensureFreshToken(portal);
+    const tokenInfo = await hubspot.getTokenInfo(fresh.access_token);
+    const details = {
+      hubDomain: tokenInfo.hub_domain,
+      user: tokenInfo.user,
+      userId: tokenInfo.user_id,
+      scopes: tokenInfo.scopes
+    };
+    if (JSON.stringify(details.scopes) !== JSON.stringify(fresh.scopes) || details.user !== fresh.user || details.hubDomain !== fresh.hubDomain) {
+      Object.assign(portal, await tokenStore.savePortal({ ...fresh, ...details }));
+    } else {
+      Object.assign(portal, fresh);
     }
+    return { valid: true, checkedAt: new Date().toISOString(), expiresIn: tokenInfo.expires_in };
+  } catch (error) {
+    logger.error(`Error verifying connection of portal ${portal.portalId}`, { error });
+    return { valid: false, checkedAt: new Date().toISOString(), error: error.message, status: error.response?.status };
+  }
+}
+
+// List connections. ?verify=true also checks each one with HubSpot.
+app.get('/api/connections', requireScope('read'), async (req, res) => {
+  try {
+    const { session, portals } = await visibleConnections(req);
+    const verify = parseBoolean(req.query.verify);
     
-    // Get the access token
-    const accessToken = hubspotTokens.access_token;
-    
-    // Get limit from query params or use default
-    let limit = 100; // Default limit
-    if (req.query.limit) {
-      const requestedLimit = parseInt(req.query.limit);
-      // Validate limit (ensure it's a positive number and not too large)
-      if (!isNaN(requestedLimit) && requestedLimit > 0 && requestedLimit <= 500) {
-        limit = requestedLimit;
-      }
+    const connections = [];
+    for (const portal of portals) {
+      const verified = verify ? await verifyConnection(portal) : undefined;
+      connections.push({ ...describeConnection(portal, session), verified });
     }
     
-    console.log(`Fetching contacts with limit: ${limit}`);
-    
-    // Call HubSpot API to get contacts - using simple endpoint first
-    const response = await axios.get('https://api.hubapi.com/crm/v3/objects/contacts', {
-      params: {
-        limit: limit
-      },
-      headers: {
-        'Authorization': `Bearer ${accessToken}`
+    res.json({
+      status: 'success',
+      count: connections.length,
+      connections,
+      links: {
+        connect: '/auth/hubspot',
+        verify: '/api/connections?verify=true'
       }
     });
+  } catch (error) {
+    logger.error('Error listing connections', { error });
+    res.status(500).json({
+      error: 'Failed to list connections',
+      message: error.message
+    });
+  }
+});
+
+// Find one of the caller's connections, or answer 404
+async function findConnection(req, res) {
+  const { session, portals } = await visibleConnections(req);
+  const portal = portals.find(candidate => candidate.portalId === req.params.portalId);
+  if (!portal) {
+    res.status(404).json({
+      error: 'Connection not found',
+      message: `Portal ${req.params.portalId} is not connected`,
+      links: { connections: '/api/connections' }
+    });
+    return null;
+  }
+  return { session, portal };
+}
+
+// One connection, always checked with HubSpot
+app.get('/api/connections/:portalId', requireScope('read'), async (req, res) => {
+  try {
+    const found = await findConnection(req, res);
+    if (!found) return;
     
-    // Extract contact data
-    const contacts = response.data.results || [];
-    
+    const verified = await verifyConnection(found.portal);
     res.json({
       status: 'success',
-      message: 'Retrieved contacts successfully',
-      count: contacts.length,
-      limit: limit,
-      contacts: contacts,
+      connection: { ...describeConnection(found.portal, found.session), verified },
       links: {
-        lists: '/api/hubspot/lists',
-        logout: '/auth/logout'
+        disconnect: `/api/connections/${found.portal.portalId}`,
+        reconnect: `/api/connections/${found.portal.portalId}/reconnect`
       }
     });
   } catch (error) {
-    console.error('Error fetching HubSpot contacts:', error.message);
-    if (error.response) {
-      console.error('Error details:', error.response.data);
+    logger.error('Error reading connection', { error });
+    res.status(500).json({
+      error: 'Failed to read connection',
+      message: error.message
+    });
+  }
+});
+
+// Disconnect a portal: revokes its refresh token and removes the stored tokens
+app.delete('/api/connections/:portalId', requireScope('write'), async (req, res) => {
+  try {
+    const found = await findConnection(req, res);
+    if (!found) return;
+    
+    const result = await disconnectPortal(found.portal.portalId, req.sessionId);
+    res.json({
+      status: 'success',
+      message: `Disconnected portal ${found.portal.portalId}`,
+      ...result,
+      links: { connect: '/auth/hubspot' }
+    });
+  } catch (error) {
+    logger.error('Error disconnecting portal', { error });
+    res.status(500).json({
+      error: 'Failed to disconnect portal',
+      message: error.message
+    });
+  }
+});
+
+// Start the OAuth flow again for a portal; the stored tokens are kept until replaced
+app.post('/api/connections/:portalId/reconnect', requireScope('write'), async (req, res) => {
+  try {
+    const found = await findConnection(req, res);
+    if (!found) return;
+    
+    // The state is bound to the session, which the callback must share
+    if (req.sessionType !== 'browser') {
+      return res.status(400).json({
+        error: 'Browser session required',
+        message: 'Reconnecting goes through the HubSpot consent screen, start it from a browser'
+      });
     }
+    
+    const authUrl = await createAuthorizeUrl(req, {
+      returnTo: req.body.returnTo || '/api/connections',
+      portalId: found.portal.portalId
+    });
+    res.json({
+      status: 'success',
+      portalId: found.portal.portalId,
+      authUrl
+    });
+  } catch (error) {
+    logger.error('Error starting reconnect', { error });
     res.status(500).json({
-      error: 'Failed to access HubSpot CRM',
-      message: error.message,
-      details: error.response?.data,
-      authUrl: '/auth/hubspot?force=true'
+      error: 'Failed to start reconnect',
+      message: error.message
     });
   }
 });
 
-// Get lists from HubSpot
-app.get('/api/hubspot/lists', async (req, res) => {
+// Issue an API key bound to the portals of the current session, so scripts
+// and servers can call the API without a cookie. Body: { name, scopes }
+// (read, write, admin), plus portalIds when an admin issues it.
+app.post('/api/session/api-key', requireScope('read'), async (req, res) => {
   try {
-    // Check if we have tokens
-    if (!hubspotTokens || !hubspotTokens.access_token) {
+    const isAdmin = hasScope(req.auth.scopes, 'admin');
+    const session = await tokenStore.getSession(req.sessionId);
+    if (!isAdmin && (!session || session.portals.length === 0)) {
       return res.status(401).json({
         error: 'Authentication required',
         authUrl: '/auth/hubspot'
       });
     }
     
-    // Check if token needs refresh
-    if (hubspotTokens.expiry_date && Date.now() >= hubspotTokens.expiry_date - 5 * 60 * 1000) {
-      console.log('Token expired or about to expire, refreshing...');
-      const refreshed = await refreshToken();
-      if (!refreshed) {
-        return res.status(401).json({
-          error: 'Authentication failed',
-          message: 'Failed to refresh authentication token',
-          authUrl: '/auth/hubspot'
-        });
-      }
+    // Keys get read and write unless asked otherwise, and never more
+    // than the caller has
+    const scopes = req.body.scopes !== undefined ? parseScopes(req.body.scopes) : req.auth.scopes.filter(scope => scope !== 'admin');
+    if (!scopes || scopes.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid scopes',
+        message: `scopes must be a list of ${SCOPES.join(', ')}`
+      });
     }
-    
-    const accessToken = hubspotTokens.access_token;
-    
-    // Get limit from query params or use default
-    let limit = 100; // Default limit
-    if (req.query.limit) {
-      const requestedLimit = parseInt(req.query.limit);
-      // Validate limit (ensure it's a positive number and not too large)
-      if (!isNaN(requestedLimit) && requestedLimit > 0 && requestedLimit <= 500) {
-        limit = requestedLimit;
-      }
+    const notGranted = scopes.filter(scope => !hasScope(req.auth.scopes, scope));
+    if (notGranted.length > 0) {
+      return res.status(403).json({
+        error: 'Insufficient scope',
+        message: `Cannot issue a key with scopes you do not have: ${notGranted.join(', ')}`,
+        granted: req.auth.scopes
+      });
     }
     
-    console.log(`Fetching lists with limit: ${limit}`);
+    // Admins can bind the key to any portals, others pass on their own
+    const portals = isAdmin && Array.isArray(req.body.portalIds)
+      ? req.body.portalIds.map(String)
+      : session?.portals || [];
     
-    // Call HubSpot API to get lists - using correct endpoint with limit parameter
-    const response = await axios.get('https://api.hubapi.com/contacts/v1/lists', {
-      params: {
-        count: limit
-      },
-      headers: {
-        'Authorization': `Bearer ${accessToken}`
-      }
+    const apiKey = generateApiKey();
+    const hash = hashApiKey(apiKey);
+    const record = await tokenStore.saveApiKey(hash, {
+      id: hash.slice(0, 12),
+      name: req.body.name ? String(req.body.name) : null,
+      scopes,
+      createdBy: req.sessionId
     });
+    if (portals.length > 0) {
+      await tokenStore.saveSession(`key:${hash}`, {
+        portals,
+        activePortal: portals.includes(session?.activePortal) ? session.activePortal : portals[portals.length - 1]
+      });
+    }
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Send this key in the X-Api-Key header. It is only shown once.',
+      apiKey,
+      keyId: record.id,
+      scopes,
+      portals
+    });
+  } catch (error) {
+    logger.error('Error issuing API key', { error });
+    res.status(500).json({
+      error: 'Failed to issue API key',
+      message: error.message
+    });
+  }
+});
+
+// API keys issued by the caller (every key for admins). Only ids and
+// metadata are returned, keys are stored hashed.
+async function visibleApiKeys(req) {
+  const apiKeys = await tokenStore.listApiKeys();
+  return hasScope(req.auth.scopes, 'admin') ? apiKeys : apiKeys.filter(apiKey => apiKey.createdBy === req.sessionId);
+}
+
+app.get('/api/session/api-keys', requireScope('read'), async (req, res) => {
+  try {
+    const apiKeys = await visibleApiKeys(req);
+    res.json({
+      status: 'success',
+      count: apiKeys.length,
+      apiKeys: apiKeys.map(({ hash, createdBy, ...apiKey }) => apiKey)
+    });
+  } catch (error) {
+    logger.error('Error listing API keys', { error });
+    res.status(500).json({
+      error: 'Failed to list API keys',
+      message: error.message
+    });
+  }
+});
+
+// Revoke an API key by its id
+app.delete('/api/session/api-keys/:keyId', requireScope('write'), async (req, res) => {
+  try {
+    const apiKey = (await visibleApiKeys(req)).find(candidate => candidate.id === req.params.keyId);
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: `No API key with id ${req.params.keyId}`
+      });
+    }
+    
+    await tokenStore.deleteApiKey(apiKey.hash);
+    logger.info('Revoked API key', { keyId: apiKey.id });
+    res.json({
+      status: 'success',
+      message: `Revoked API key ${apiKey.id}`
+    });
+  } catch (error) {
+    logger.error('Error revoking API key', { error });
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+// Log a short hash of the portal's access token, so the debug routes can
+// tell which token was in use without exposing any part of it
+function logTokenFingerprint(portal) {
+  if (!portal || !portal.access_token) return;
+  const fingerprint = crypto.createHash('sha256').update(portal.access_token).digest('hex').slice(0, 12);
+  logger.info('Debug route token', { portalId: portal.portalId, fingerprint, expiry: portal.expiry_date ? new Date(portal.expiry_date).toISOString() : null });
+}
+
+// Debug endpoint to check HubSpot tokens and API
+app.get('/api/hubspot/debug', requireScope('admin'), loadPortal, async (req, res) => {
+  try {
+    // Display current token info. The token itself is never returned, only
+    // its fingerprint is logged, to tell tokens apart.
+    logTokenFingerprint(req.portal);
+    const tokenInfo = {
+      hasToken: !!req.portal,
+      portalId: req.portal ? req.portal.portalId : null,
+      hasRefreshToken: !!req.portal?.refresh_token,
+      expiry: req.portal ? new Date(req.portal.expiry_date).toISOString() : null,
+      isExpired: req.portal ? Date.now() >= req.portal.expiry_date : null
+    };
+    
+    // Try to make a test API call
+    let apiResponse = null;
+    let apiError = null;
+    
+    if (req.portal && req.portal.access_token) {
+      // The client refreshes the token and retries once if HubSpot answers 401
+      const refreshesBefore = hubspot.metrics.refreshes.success;
+      try {
+        const response = await req.hubspot.request({ method: 'get', url: '/crm/v3/schemas/contacts' });
+        apiResponse = {
+          status: response.status,
+          hasData: !!response.data,
+          properties: response.data.properties ? response.data.properties.length : 0,
+          note: hubspot.metrics.refreshes.success > refreshesBefore ? "This was after token refresh" : undefined
+        };
+      } catch (error) {
+        apiError = {
+          message: error.message,
+          status: error.response?.status,
+          data: error.response?.data
+        };
+        if (error instanceof RefreshError) {
+          apiError.refreshResult = "Token refresh failed";
+        }
+      }
+    }
+    
+    res.json({
+      tokenInfo,
+      apiResponse,
+      apiError,
+      env: {
+        hasAppId: !!process.env.HUBSPOT_APP_ID,
+        hasClientId: !!process.env.HUBSPOT_CLIENT_ID,
+        hasClientSecret: !!process.env.HUBSPOT_CLIENT_SECRET
+      },
+      links: {
+        properties: '/api/hubspot/properties/contacts'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Debug endpoint error",
+      message: error.message
+    });
+  }
+});
+
+// Read the property selection, associations and archived filter shared by
+// the object read routes. Sends a 400 and returns null when invalid.
+async function readObjectQuery(req, res, objectType) {
+  // A mapping profile needs the properties it reads, on top of any asked for
+  const properties = [...new Set([...parseList(req.query.properties), ...(req.mapping ? req.mapping.properties : [])])];
+  const propertiesWithHistory = parseList(req.query.propertiesWithHistory);
+  const associations = parseList(req.query.associations);
+  const archived = parseBoolean(req.query.archived);
+  
+  if (archived === null) {
+    res.status(400).json({
+      error: 'Invalid query parameters',
+      message: 'archived must be true or false'
+    });
+    return null;
+  }
+  
+  // Associations can be any standard or custom object type
+  const resolvedAssociations = [];
+  const invalidAssociations = [];
+  for (const association of associations) {
+    const resolved = await resolveObjectType(req.hubspot, association);
+    if (resolved) {
+      resolvedAssociations.push(resolved.objectType);
+    } else {
+      invalidAssociations.push(association);
+    }
+  }
+  if (invalidAssociations.length > 0) {
+    res.status(400).json({
+      error: 'Invalid query parameters',
+      message: `Unsupported associations: ${invalidAssociations.join(', ')}`,
+      links: {
+        schemas: '/api/hubspot/schemas'
+      }
+    });
+    return null;
+  }
+  
+  // Check the requested property names against the object schema
+  const unknownProperties = await findUnknownProperties(req.hubspot, objectType, [...new Set([...properties, ...propertiesWithHistory])]);
+  if (unknownProperties.length > 0) {
+    res.status(400).json({
+      error: 'Invalid query parameters',
+      message: `Unknown ${objectType} properties: ${unknownProperties.join(', ')}`,
+      unknownProperties
+    });
+    return null;
+  }
+  
+  return {
+    properties: properties.length ? properties.join(',') : undefined,
+    propertiesWithHistory: propertiesWithHistory.length ? propertiesWithHistory.join(',') : undefined,
+    associations: resolvedAssociations.length ? resolvedAssociations.join(',') : undefined,
+    archived
+  };
+}
+
+// Read ?format= for the routes that can export. Sends a 400 and returns
+// null when the format is not supported.
+function readFormat(req, res) {
+  const format = parseFormat(req.query.format);
+  if (!format) {
+    res.status(400).json({
+      error: 'Invalid query parameters',
+      message: `format must be one of ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+  return format;
+}
+
+// Stream pages straight into a CSV/NDJSON/XLSX download. toRows turns a
+// page of results into flat rows. Errors before the first row reach the
+// route's catch block; after that the download is aborted.
+async function streamExport(res, { format, filename, columns, fetchPage, limit, after, fetchAll, toRows }) {
+  const writer = new ExportWriter(res, {
+    format,
+    filename: `${filename}-${new Date().toISOString().slice(0, 10)}`,
+    columns
+  });
+  
+  try {
+    const result = await walkPages(fetchPage, {
+      limit,
+      after,
+      // A first page that is also the last carries the paging details,
+      // so they can go out as headers
+      onPage: async (results, page) => writer.write(await toRows(results), page.last ? {
+        count: results.length,
+        truncated: fetchAll && !!page.after,
+        after: page.after
+      } : null)
+    });
+    await writer.end({ after: result.after, truncated: fetchAll && !!result.after });
+  } catch (error) {
+    if (!writer.started) throw error;
+    logger.error(`Export of ${filename} aborted`, { error });
+    writer.abort(error);
+  }
+}
+
+// Read ?source= (live or cache) for the object read routes. Sends a 400 and
+// returns null when invalid.
+function readSource(req, res) {
+  const source = req.query.source || 'live';
+  if (!['live', 'cache'].includes(source)) {
+    res.status(400).json({
+      error: 'Invalid query parameters',
+      message: 'source must be live or cache'
+    });
+    return null;
+  }
+  return source;
+}
+
+// Check that the mirror can serve a cache read. Sends the error and returns null
+// when it can't, otherwise returns the sync state.
+async function readMirrorState(req, res, objectType, query) {
+  const unsupported = ['associations', 'propertiesWithHistory', 'idProperty'].filter(name => req.query[name]);
+  if (query.archived) unsupported.push('archived');
+  if (unsupported.length > 0) {
+    res.status(400).json({
+      error: 'Invalid query parameters',
+      message: `${unsupported.join(', ')} cannot be used with source=cache`
+    });
+    return null;
+  }
+  
+  const state = await mirror.getState(req.portal.portalId, objectType);
+  if (!state || !state.lastSuccessAt) {
+    res.status(409).json({
+      error: 'Mirror not synced',
+      message: `${objectType} have not been synced yet, run a sync or read with source=live`,
+      links: {
+        sync: '/api/sync/run',
+        status: '/api/sync/status'
+      }
+    });
+    return null;
+  }
+  return state;
+}
+
+// Limit a mirrored record to the requested properties, like HubSpot does
+function projectRecord(record, properties) {
+  if (!record || properties.length === 0) return record;
+  return {
+    ...record,
+    properties: Object.fromEntries(properties
+      .filter(name => record.properties?.[name] !== undefined)
+      .map(name => [name, record.properties[name]]))
+  };
+}
+
+// Build the mapper for a profile. Label fields need the property options,
+// read from the (cached) object schema.
+async function buildMapper(req, profile) {
+  const definitions = profile.fields.some(field => field.type === 'label')
+    ? (await getObjectSchema(req.hubspot, profile.objectType)).properties || []
+    : [];
+  return createMapper(profile, definitions);
+}
+
+// Load the profile named by ?mapping= into req.mapping, for the read routes
+// that reshape their records with it. `objectType` is the route's object
+// type, or a function of the request.
+function loadMapping(objectType) {
+  return async (req, res, next) => {
+    if (!req.query.mapping) return next();
+    try {
+      const expected = typeof objectType === 'function' ? objectType(req) : objectType;
+      const profile = await mappingStore.get(req.portal.portalId, req.query.mapping);
+      if (!profile) {
+        return res.status(404).json({
+          error: 'Mapping not found',
+          message: `No mapping profile named ${req.query.mapping}`,
+          links: {
+            mappings: '/api/mappings'
+          }
+        });
+      }
+      if (profile.objectType !== expected) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          message: `Mapping ${profile.name} is for ${profile.objectType}, not ${expected}`
+        });
+      }
+      req.mapping = await buildMapper(req, profile);
+      next();
+    } catch (error) {
+      logger.error('Error loading mapping profile', { error });
+      sendHubSpotError(res, error, {
+        error: 'Failed to load mapping profile'
+      });
+    }
+  };
+}
+
+// Cache tags for a route that accepts ?mapping=, so saving or deleting the
+// profile invalidates the responses shaped by it
+function withMappingTag(tags) {
+  return req => {
+    const routeTags = typeof tags === 'function' ? tags(req) : tags;
+    return req.query.mapping ? [...routeTags, `mapping:${req.query.mapping}`] : routeTags;
+  };
+}
+
+// List records of an object type, shared by the contacts and objects routes
+async function listObjects(req, res, { objectType, label, resultKey, links }) {
+  try {
+    // all=true walks every page (up to the configured max), otherwise
+    // collect `limit` records starting from the `after` cursor
+    const fetchAll = req.query.all === 'true';
+    const limit = fetchAll ? parseFetchAllMax(req.query.max) : parseLimit(req.query.limit);
+    const after = req.query.after || null;
+    
+    const format = readFormat(req, res);
+    if (!format) return;
+    
+    const source = readSource(req, res);
+    if (!source) return;
+    
+    const query = await readObjectQuery(req, res, objectType);
+    if (!query) return;
+    
+    const syncState = source === 'cache' ? await readMirrorState(req, res, objectType, query) : null;
+    if (source === 'cache' && !syncState) return;
+    
+    logger.info(`Fetching ${label}`, { source, limit, fetchAll, after, format });
+    
+    // Call HubSpot API (or read the mirror) to get the records, one page
+    // (max 100) at a time
+    const properties = parseList(query.properties);
+    const fetchPage = source === 'cache'
+      ? async (page) => {
+        const data = await mirror.list(req.portal.portalId, objectType, { limit: page.limit, after: page.after });
+        return { ...data, results: data.results.map(record => projectRecord(record, properties)) };
+      }
+      : page => req.hubspot.get(`/crm/v3/objects/${encodeURIComponent(objectType)}`, {
+        params: {
+          limit: page.limit,
+          after: page.after || undefined,
+          ...query
+        }
+      });
+    
+    if (format !== 'json') {
+      return await streamExport(res, {
+        format,
+        filename: label,
+        columns: req.mapping ? req.mapping.columns : ['id', ...properties],
+        fetchPage,
+        limit,
+        after,
+        fetchAll,
+        toRows: results => results.map(req.mapping ? req.mapping.apply : flattenRecord)
+      });
+    }
+    
+    const { results, after: nextAfter, pages } = await collectPages(fetchPage, { limit, after });
+    
+    const next = buildNextLink(req, nextAfter);
+    
+    res.json({
+      status: 'success',
+      message: `Retrieved ${label} successfully`,
+      count: results.length,
+      limit: limit,
+      pages: pages,
+      // Only set when all=true stopped at the max before reaching the last page
+      truncated: fetchAll && !!nextAfter,
+      source: source,
+      syncedAt: syncState ? syncState.lastSuccessAt : undefined,
+      mapping: req.mapping ? req.mapping.name : undefined,
+      [resultKey]: req.mapping ? results.map(req.mapping.apply) : results,
+      paging: nextAfter ? { next: { after: nextAfter, link: next } } : null,
+      links: {
+        next: next,
+        ...links,
+        logout: 'POST /auth/logout'
+      }
+    });
+  } catch (error) {
+    logger.error(`Error fetching HubSpot ${label}`, { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to access HubSpot CRM',
+      authUrl: '/auth/hubspot?force=true'
+    });
+  }
+}
+
+// Get contacts from HubSpot
+app.get('/api/hubspot/contacts', requireScope('read'), loadPortal, requirePortal, requireHubSpotScopes(['crm.objects.contacts.read']), responseCache.middleware('contacts', withMappingTag(['contacts'])), loadMapping('contacts'), (req, res) => {
+  listObjects(req, res, {
+    objectType: 'contacts',
+    label: 'contacts',
+    resultKey: 'contacts',
+    links: { lists: '/api/hubspot/lists' }
+  });
+});
+
+// Run a contact search for the GET and POST search routes
+async function searchContacts(req, res, body) {
+  try {
+    // Read the properties the mapping profile needs as well
+    if (req.mapping && (body.properties === undefined || Array.isArray(body.properties))) {
+      body = { ...body, properties: [...new Set([...(body.properties || []), ...req.mapping.properties])] };
+    }
+    const { errors, request, propertyNames } = buildSearchRequest(body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid search request',
+        errors,
+        operators: SEARCH_OPERATORS
+      });
+    }
+    
+    // Check the referenced property names against the contact schema
+    const unknownProperties = await findUnknownProperties(req.hubspot, 'contacts', propertyNames);
+    if (unknownProperties.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid search request',
+        errors: [`Unknown contact properties: ${unknownProperties.join(', ')}`],
+        unknownProperties
+      });
+    }
+    
+    logger.info('Searching contacts', { filterGroups: request.filterGroups.length, hasQuery: !!request.query });
+    
+    const data = await req.hubspot.post('/crm/v3/objects/contacts/search', request, { idempotent: true });
+    
+    const contacts = data.results || [];
+    const nextAfter = data.paging?.next?.after || null;
+    
+    res.json({
+      status: 'success',
+      message: 'Searched contacts successfully',
+      total: data.total,
+      count: contacts.length,
+      limit: request.limit,
+      mapping: req.mapping ? req.mapping.name : undefined,
+      contacts: req.mapping ? contacts.map(req.mapping.apply) : contacts,
+      paging: nextAfter ? {
+        next: {
+          after: nextAfter,
+          // Only the GET form can be followed as a link, POST callers resend the body with `after`
+          link: req.method === 'GET' ? buildNextLink(req, nextAfter) : undefined
+        }
+      } : null,
+      links: {
+        contacts: '/api/hubspot/contacts',
+        logout: 'POST /auth/logout'
+      }
+    });
+  } catch (error) {
+    logger.error('Error searching HubSpot contacts', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to search HubSpot contacts'
+    });
+  }
+}
+
+// Search contacts with filter groups, sorts, a free-text query and paging
+app.post('/api/hubspot/contacts/search', requireScope('read'), loadPortal, requirePortal, requireHubSpotScopes(['crm.objects.contacts.read']), loadMapping('contacts'), (req, res) => {
+  searchContacts(req, res, req.body || {});
+});
+
+// Quick lookups from the query string, e.g. ?email=jane@example.com or ?q=jane;
+// filter[name]=value filters on properties named like a reserved parameter
+app.get('/api/hubspot/contacts/search', requireScope('read'), loadPortal, requirePortal, requireHubSpotScopes(['crm.objects.contacts.read']), responseCache.middleware('search', withMappingTag(['contacts'])), loadMapping('contacts'), (req, res) => {
+  const { errors, body } = searchBodyFromQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid search request',
+      errors,
+      operators: SEARCH_OPERATORS
+    });
+  }
+  searchContacts(req, res, body);
+});
+
+// List the standard and custom object types the generic object routes accept
+app.get('/api/hubspot/schemas', requireScope('read'), loadPortal, requirePortal, requireHubSpotScopes(['crm.schemas.custom.read']), responseCache.middleware('schemas', ['schemas']), async (req, res) => {
+  try {
+    const customSchemas = await listCustomSchemas(req.hubspot);
+    
+    const objectTypes = [
+      ...STANDARD_OBJECTS.map(object => ({
+        name: object.name,
+        objectTypeId: object.objectTypeId,
+        custom: false,
+        links: { records: `/api/hubspot/objects/${object.name}`, properties: `/api/hubspot/properties/${object.name}` }
+      })),
+      ...customSchemas.map(schema => ({
+        name: schema.name,
+        objectTypeId: schema.objectTypeId,
+        fullyQualifiedName: schema.fullyQualifiedName,
+        labels: schema.labels,
+        primaryDisplayProperty: schema.primaryDisplayProperty,
+        custom: true,
+        links: { records: `/api/hubspot/objects/${schema.objectTypeId}`, properties: `/api/hubspot/properties/${schema.objectTypeId}` }
+      }))
+    ];
+    
+    res.json({
+      status: 'success',
+      count: objectTypes.length,
+      objectTypes
+    });
+  } catch (error) {
+    logger.error('Error fetching HubSpot schemas', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to access HubSpot schemas'
+    });
+  }
+});
+
+// Resolve :objectType to a standard or custom object (req.objectType)
+async function resolveObjectTypeParam(req, res, next) {
+  try {
+    req.objectType = await resolveObjectType(req.hubspot, req.params.objectType);
+    if (!req.objectType) {
+      return res.status(404).json({
+        error: 'Unknown object type',
+        message: `${req.params.objectType} is not a standard object or a custom object in this portal`,
+        links: {
+          schemas: '/api/hubspot/schemas'
+        }
+      });
+    }
+    next();
+  } catch (error) {
+    logger.error('Error resolving object type', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to resolve object type'
+    });
+  }
+}
+
+// Validate contact properties from a write request against the contact
+// schema. Sends a 400 and returns null when invalid.
+async function readContactProperties(req, res, properties, { required = true } = {}) {
+  const schema = await getObjectSchema(req.hubspot, 'contacts');
+  const result = validateProperties(schema, properties);
+  if (result.errors.length === 0 && required && Object.keys(result.properties).length === 0) {
+    result.errors.push('properties must contain at least one property');
+  }
+  
+  if (result.errors.length > 0) {
+    res.status(400).json({
+      error: 'Invalid contact properties',
+      errors: result.errors,
+      links: {
+        schema: '/api/hubspot/schemas',
+        properties: '/api/hubspot/properties/contacts'
+      }
+    });
+    return null;
+  }
+  return result.properties;
+}
+
+// Map a failed contact write to a response. HubSpot answers 409 when a
+// contact with the same email exists and 404 for unknown ids.
+function sendContactWriteError(res, error, action, id) {
+  logger.error(`Error trying to ${action} HubSpot contact`, { error });
+  
+  if (error.response?.status === 409) {
+    const existingId = String(error.response.data?.message || '').match(/Existing ID: (\d+)/)?.[1] || null;
+    return res.status(409).json({
+      error: 'Contact already exists',
+      message: error.response.data?.message || error.message,
+      existingId,
+      links: {
+        existing: existingId ? `/api/hubspot/objects/contacts/${existingId}` : undefined,
+        upsert: '/api/hubspot/contacts/upsert'
+      }
+    });
+  }
+  
+  if (error.response?.status === 404) {
+    return res.status(404).json({
+      error: 'Record not found',
+      message: `No contact with id ${id}`
+    });
+  }
+  
+  sendHubSpotError(res, error, {
+    error: `Failed to ${action} HubSpot contact`
+  });
+}
+
+// Cached responses a contact write makes stale: contact and contact object
+// reads, and list members (tagged with contacts as well)
+const CONTACT_CACHE_TAGS = ['contacts'];
+
+// Create a contact: { properties: { email, firstname, ... } }
+app.post('/api/hubspot/contacts', requireScope('write'), loadPortal, requirePortal, requireHubSpotScopes(['crm.objects.contacts.write', 'crm.schemas.contacts.read']), async (req, res) => {
+  try {
+    const properties = await readContactProperties(req, res, req.body.properties);
+    if (!properties) return;
+    
+    const contact = await req.hubspot.post('/crm/v3/objects/contacts', { properties });
+    logger.info('Created contact', { contactId: contact.id });
+    await responseCache.invalidate(req.portal.portalId, CONTACT_CACHE_TAGS);
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Created contact',
+      contact,
+      links: {
+        self: `/api/hubspot/objects/contacts/${contact.id}`
+      }
+    });
+  } catch (error) {
+    sendContactWriteError(res, error, 'create');
+  }
+});
+
+// Create or update the contact with the given email:
+// { email, properties: { ... } } (email may also be one of the properties)
+app.post('/api/hubspot/contacts/upsert', requireScope('write'), loadPortal, requirePortal, requireHubSpotScopes(['crm.objects.contacts.write', 'crm.schemas.contacts.read']), async (req, res) => {
+  try {
+    const email = req.body.email || req.body.properties?.email;
+    if (!email) {
+      return res.status(400).json({
+        error: 'Invalid contact properties',
+        errors: ['email is required to upsert a contact']
+      });
+    }
+    
+    const input = req.body.properties ?? {};
+    const properties = await readContactProperties(req, res, typeof input === 'object' && !Array.isArray(input) ? { ...input, email } : input);
+    if (!properties) return;
+    
+    // Email is a unique property, so the batch upsert endpoint can match on it
+    const data = await req.hubspot.post('/crm/v3/objects/contacts/batch/upsert', {
+      inputs: [{ idProperty: 'email', id: properties.email, properties }]
+    }, { idempotent: true });
+    
+    if (data.errors?.length) {
+      return res.status(400).json({
+        error: 'Failed to upsert HubSpot contact',
+        errors: data.errors.map(error => error.message)
+      });
+    }
+    
+    const contact = data.results[0];
+    const created = !!contact.new;
+    await responseCache.invalidate(req.portal.portalId, CONTACT_CACHE_TAGS);
+    logger.info(`${created ? 'Created' : 'Updated'} contact by email`, { contactId: contact.id });
+    
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: created ? 'Created contact' : 'Updated contact',
+      created,
+      contact,
+      links: {
+        self: `/api/hubspot/objects/contacts/${contact.id}`
+      }
+    });
+  } catch (error) {
+    sendContactWriteError(res, error, 'upsert');
+  }
+});
+
+// Update a contact by id, or by a unique property with ?idProperty=email
+app.patch('/api/hubspot/contacts/:id', requireScope('write'), loadPortal, requirePortal, requireHubSpotScopes(['crm.objects.contacts.write', 'crm.schemas.contacts.read']), async (req, res) => {
+  try {
+    const properties = await readContactProperties(req, res, req.body.properties);
+    if (!properties) return;
+    
+    const contact = await req.hubspot.patch(`/crm/v3/objects/contacts/${encodeURIComponent(req.params.id)}`, { properties }, {
+      params: {
+        idProperty: req.query.idProperty || undefined
+      }
+    });
+    logger.info('Updated contact', { contactId: contact.id });
+    await responseCache.invalidate(req.portal.portalId, CONTACT_CACHE_TAGS);
+    
+    res.json({
+      status: 'success',
+      message: 'Updated contact',
+      contact,
+      links: {
+        self: `/api/hubspot/objects/contacts/${contact.id}`
+      }
+    });
+  } catch (error) {
+    sendContactWriteError(res, error, 'update', req.params.id);
+  }
+});
+
+// Archive a contact (HubSpot keeps archived records restorable for 90 days)
+app.delete('/api/hubspot/contacts/:id', requireScope('write'), loadPortal, requirePortal, requireHubSpotScopes(['crm.objects.contacts.write']), async (req, res) => {
+  try {
+    await req.hubspot.delete(`/crm/v3/objects/contacts/${encodeURIComponent(req.params.id)}`);
+    logger.info('Archived contact', { contactId: req.params.id });
+    await responseCache.invalidate(req.portal.portalId, CONTACT_CACHE_TAGS);
+    
+    res.json({
+      status: 'success',
+      message: `Archived contact ${req.params.id}`,
+      links: {
+        contacts: '/api/hubspot/contacts'
+      }
+    });
+  } catch (error) {
+    sendContactWriteError(res, error, 'archive', req.params.id);
+  }
+});
+
+// Group likely duplicate contacts, from the mirror when synced (?source=), with
+// ?max=, ?minConfidence= and ?limit=
+app.get('/api/hubspot/contacts/duplicates', requireScope('read'), loadPortal, requirePortal, requireHubSpotScopes(['crm.objects.contacts.read']), responseCache.middleware('duplicates', ['contacts']), async (req, res) => {
+  try {
+    const minConfidence = req.query.minConfidence === undefined ? DEFAULT_MIN_CONFIDENCE : Number(req.query.minConfidence);
+    if (!(minConfidence >= 0 && minConfidence <= 1)) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: 'minConfidence must be a number between 0 and 1'
+      });
+    }
+    
+    // Without ?source=, the mirror when contacts have been synced
+    const state = await mirror.getState(req.portal.portalId, 'contacts');
+    const source = req.query.source || (state?.lastSuccessAt ? 'cache' : 'live');
+    if (!['live', 'cache'].includes(source)) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: 'source must be live or cache'
+      });
+    }
+    const syncState = source === 'cache' ? await readMirrorState(req, res, 'contacts', {}) : null;
+    if (source === 'cache' && !syncState) return;
+    
+    const max = parseFetchAllMax(req.query.max);
+    const limit = parseLimit(req.query.limit);
+    logger.info('Scanning contacts for duplicates', { source, max, minConfidence });
+    
+    const fetchPage = source === 'cache'
+      ? async (page) => {
+        const data = await mirror.list(req.portal.portalId, 'contacts', { limit: page.limit, after: page.after });
+        return { ...data, results: data.results.map(record => projectRecord(record, DUPLICATE_PROPERTIES)) };
+      }
+      : page => req.hubspot.get('/crm/v3/objects/contacts', {
+        params: {
+          limit: page.limit,
+          after: page.after || undefined,
+          properties: DUPLICATE_PROPERTIES.join(',')
+        }
+      });
+    const { results, after } = await collectPages(fetchPage, { limit: max });
+    const groups = findDuplicates(results, { minConfidence });
+    
+    res.json({
+      status: 'success',
+      source: source,
+      syncedAt: syncState ? syncState.lastSuccessAt : undefined,
+      scanned: results.length,
+      // More contacts than ?max= (or FETCH_ALL_MAX) were left unscanned
+      truncated: !!after,
+      minConfidence,
+      total: groups.length,
+      count: Math.min(groups.length, limit),
+      groups: groups.slice(0, limit).map(group => ({
+        ...group,
+        // Merge the other contacts into the suggested one, one pair at a time
+        merges: group.contacts
+          .filter(contact => String(contact.id) !== group.suggestedPrimaryId)
+          .map(contact => ({ primaryId: group.suggestedPrimaryId, mergeId: String(contact.id) }))
+      })),
+      links: {
+        merge: '/api/hubspot/contacts/merge',
+        sync: '/api/sync/run'
+      }
+    });
+  } catch (error) {
+    logger.error('Error scanning contacts for duplicates', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to scan contacts for duplicates'
+    });
+  }
+});
+
+// Merge two contacts: { primaryId, mergeId, dryRun }. Admin only; only a
+// dryRun: false merges, otherwise the answer previews the result.
+app.post('/api/hubspot/contacts/merge', requireScope('admin'), loadPortal, requirePortal, requireHubSpotScopes(['crm.objects.contacts.write', 'crm.schemas.contacts.read']), async (req, res) => {
+  try {
+    const primaryId = req.body.primaryId === undefined ? '' : String(req.body.primaryId);
+    const mergeId = req.body.mergeId === undefined ? '' : String(req.body.mergeId);
+    const dryRun = parseBoolean(req.body.dryRun);
+    
+    const errors = [];
+    if (!primaryId || !mergeId) {
+      errors.push('primaryId and mergeId are required');
+    } else if (primaryId === mergeId) {
+      errors.push('primaryId and mergeId must be different contacts');
+    }
+    if (dryRun === null) {
+      errors.push('dryRun must be true or false');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid merge request',
+        errors
+      });
+    }
+    
+    // Every property, so the preview shows what the merge keeps and loses
+    const schema = await getObjectSchema(req.hubspot, 'contacts');
+    const data = await req.hubspot.post('/crm/v3/objects/contacts/batch/read', {
+      inputs: [{ id: primaryId }, { id: mergeId }],
+      properties: (schema.properties || []).map(property => property.name)
+    }, { idempotent: true });
+    const records = new Map((data.results || []).map(record => [String(record.id), record]));
+    const missing = [primaryId, mergeId].filter(id => !records.has(id));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Contact not found',
+        message: `No contact with id ${missing.join(', ')}`
+      });
+    }
+    
+    const primary = records.get(primaryId);
+    const merged = records.get(mergeId);
+    const match = scorePair(profileContact(primary), profileContact(merged));
+    
+    if (dryRun !== false) {
+      return res.json({
+        status: 'success',
+        dryRun: true,
+        message: `Merging ${mergeId} into ${primaryId} would keep ${primaryId}; send dryRun: false to merge`,
+        match,
+        primary,
+        merged,
+        result: previewMerge(primary, merged)
+      });
+    }
+    
+    const contact = await req.hubspot.post('/crm/v3/objects/contacts/merge', {
+      primaryObjectId: primaryId,
+      objectIdToMerge: mergeId
+    });
+    logger.info('Merged contacts', { primaryId, mergeId, contactId: contact.id, confidence: match.confidence });
+    await responseCache.invalidate(req.portal.portalId, CONTACT_CACHE_TAGS);
+    
+    // Keep a synced mirror in step without waiting for the webhook
+    const state = await mirror.getState(req.portal.portalId, 'contacts');
+    if (state?.lastSuccessAt) {
+      await mirror.remove(req.portal.portalId, 'contacts', [primaryId, mergeId].filter(id => id !== String(contact.id)));
+      await mirror.flush();
+      await refreshRecords({ hubspot: req.hubspot, mirror, objectType: 'contacts', ids: [contact.id] });
+    }
+    
+    res.json({
+      status: 'success',
+      dryRun: false,
+      message: `Merged contact ${mergeId} into ${primaryId}`,
+      match,
+      contact,
+      links: {
+        self: `/api/hubspot/objects/contacts/${contact.id}`
+      }
+    });
+  } catch (error) {
+    logger.error('Error merging contacts', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to merge contacts'
+    });
+  }
+});
+
+// A contact's engagements as one feed (?types=, ?order=, ?limit=, ?after=)
+app.get('/api/hubspot/contacts/:id/timeline', requireScope('read'), loadPortal, requirePortal, requireHubSpotScopes(['crm.objects.contacts.read']), responseCache.middleware('timeline', ['contacts', ...TIMELINE_TYPES]), async (req, res) => {
+  try {
+    const requested = parseList(req.query.types).map(type => type.toLowerCase());
+    const invalidTypes = requested.filter(type => !TIMELINE_TYPES.includes(type));
+    const order = req.query.order || 'desc';
+    const limit = parseLimit(req.query.limit);
+    const offset = req.query.after ? Number(req.query.after) : 0;
+    
+    const errors = [];
+    if (invalidTypes.length > 0) {
+      errors.push(`Unsupported types: ${invalidTypes.join(', ')} (supported: ${TIMELINE_TYPES.join(', ')})`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      errors.push('order must be asc or desc');
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      errors.push('after must be a cursor from a previous page');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        errors
+      });
+    }
+    
+    // Asking for emails explicitly requires their scope; otherwise types
+    // the connection cannot read are skipped and reported
+    let types = requested.length > 0 ? requested : TIMELINE_TYPES;
+    if (requested.includes('emails') && !(await checkHubSpotScopes(req, res, objectReadScopes({ name: 'emails' })))) return;
+    const granted = await grantedScopes(req);
+    const skippedTypes = types
+      .map(type => ({ type, missingScopes: missingScopes(granted, objectReadScopes({ name: type })) }))
+      .filter(skipped => skipped.missingScopes.length > 0)
+      .map(skipped => ({ ...skipped, consentUrl: consentUrl(skipped.missingScopes, { portalId: req.portal.portalId, returnTo: req.originalUrl }) }));
+    types = types.filter(type => !skippedTypes.some(skipped => skipped.type === type));
+    
+    const contact = await req.hubspot.get(`/crm/v3/objects/contacts/${encodeURIComponent(req.params.id)}`, {
+      params: {
+        properties: 'email,firstname,lastname'
+      }
+    });
+    
+    // Built once and kept for the timeline TTL, so later pages slice the
+    // same feed instead of reading every association again
+    const { items, truncated } = await responseCache.remember('timeline', req.portal.portalId, `timeline:${contact.id}:${types.join(',')}:${order}`, ['contacts', ...TIMELINE_TYPES],
+      () => buildTimeline(req.hubspot, contact.id, { types, order }),
+      { bypass: /no-cache|no-store/i.test(req.get('cache-control') || '') });
+    const page = items.slice(offset, offset + limit);
+    const nextAfter = offset + limit < items.length ? String(offset + limit) : null;
+    const next = buildNextLink(req, nextAfter);
+    
+    res.json({
+      status: 'success',
+      contact: {
+        id: contact.id,
+        email: contact.properties?.email || null,
+        name: [contact.properties?.firstname, contact.properties?.lastname].filter(Boolean).join(' ') || null
+      },
+      types,
+      skippedTypes: skippedTypes.length ? skippedTypes : undefined,
+      // Some types had more associated records than the timeline reads
+      truncated: truncated.length > 0,
+      truncatedTypes: truncated.length ? truncated : undefined,
+      order,
+      total: items.length,
+      count: page.length,
+      limit,
+      timeline: page,
+      paging: nextAfter ? { next: { after: nextAfter, link: next } } : null,
+      links: {
+        next,
+        contact: `/api/hubspot/objects/contacts/${contact.id}`
+      }
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({
+        error: 'Contact not found',
+        message: `No contact with id ${req.params.id}`
+      });
+    }
+    
+    logger.error('Error building contact timeline', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to read contact timeline'
+    });
+  }
+});
+
+// Run an import job, saving progress after every batch call. The per-row
+// report is saved apart from the job, only the pages a batch changed.
+// Resolves to the job and, when it completed, its rows.
+async function runImportJob(job, options) {
+  job = await jobStore.update(job, { status: 'running', startedAt: new Date().toISOString() });
+  let written = new Map();
+  let rows = null;
+  try {
+    const result = await runBatchImport({
+      ...options,
+      onProgress: async (progressRows, progress) => {
+        written = await jobStore.saveRows(job, progressRows, written);
+        job = await jobStore.update(job, { rowPages: written.size, counts: summarise(progressRows), progress });
+      }
+    });
+    written = await jobStore.saveRows(job, result.rows, written);
+    rows = result.rows;
+    job = await jobStore.update(job, {
+      status: 'completed',
+      rowPages: written.size,
+      counts: result.counts,
+      calls: result.calls,
+      finishedAt: new Date().toISOString()
+    });
+    logger.info('Import job completed', { jobId: job.id, ...result.counts });
+  } catch (error) {
+    logger.error(`Import job ${job.id} failed`, { error });
+    job = await jobStore.update(job, {
+      status: 'failed',
+      error: error.message,
+      details: error.response?.data,
+      finishedAt: new Date().toISOString()
+    });
+  }
+  // A failed import may still have written some batches
+  await responseCache.invalidate(job.portalId, CONTACT_CACHE_TAGS);
+  return { job, rows };
+}
+
+// Import contacts from JSON or CSV in batches of 100 (mode create, update or
+// upsert). Answers 202 with a job to poll, unless wait=true (the default on
+// Vercel, where a background job would be frozen).
+app.post('/api/hubspot/contacts/batch', requireScope('write'), express.text({ type: ['text/csv', 'application/csv'], limit: '10mb' }), loadPortal, requirePortal, requireHubSpotScopes(['crm.objects.contacts.write', 'crm.schemas.contacts.read']), async (req, res) => {
+  try {
+    let records;
+    let options = req.query;
+    if (typeof req.body === 'string') {
+      try {
+        records = parseCsv(req.body).records;
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid import',
+          message: `Could not parse CSV: ${error.message}`
+        });
+      }
+    } else if (Array.isArray(req.body)) {
+      records = req.body.map(record => ({ record }));
+    } else {
+      options = { ...req.query, ...req.body };
+      records = Array.isArray(req.body.records) ? req.body.records.map(record => ({ record })) : null;
+    }
+    
+    const mode = options.mode || 'upsert';
+    const idProperty = options.idProperty || (mode === 'update' ? 'hs_object_id' : 'email');
+    const wait = parseBoolean(options.wait ?? (isServerless ? 'true' : undefined));
+    
+    const errors = [];
+    if (!records || records.length === 0) {
+      errors.push('Send a non-empty array of records as JSON, or a CSV file with a header row');
+    } else if (records.length > MAX_IMPORT_ROWS) {
+      errors.push(`At most ${MAX_IMPORT_ROWS} records can be imported at once`);
+    }
+    if (!IMPORT_MODES.includes(mode)) {
+      errors.push(`mode must be one of ${IMPORT_MODES.join(', ')}`);
+    }
+    if (wait === null) {
+      errors.push('wait must be true or false');
+    }
+    
+    const schema = await getObjectSchema(req.hubspot, 'contacts');
+    const keyProperty = (schema.properties || []).find(property => property.name === idProperty);
+    if (idProperty !== 'hs_object_id' && (!keyProperty || !(keyProperty.hasUniqueValue || idProperty === 'email'))) {
+      errors.push('idProperty must be email or a unique contact property');
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid import',
+        errors
+      });
+    }
+    
+    let job = await jobStore.create('contacts-import', req.portal.portalId, {
+      mode,
+      idProperty,
+      counts: summarise(records.map(() => ({}))),
+      rowPages: 0
+    });
+    logger.info('Import job started', { jobId: job.id, mode, records: records.length });
+    
+    const run = runImportJob(job, { hubspot: req.hubspot, schema, objectType: 'contacts', records, mode, idProperty });
+    const link = `/api/hubspot/jobs/${job.id}`;
+    
+    if (!wait) {
+      run.catch(error => logger.error('Could not record the result of import job', { jobId: job.id, error }));
+      return res.status(202).location(link).json({
+        status: 'accepted',
+        message: `Importing ${records.length} contacts`,
+        jobId: job.id,
+        counts: job.counts,
+        links: {
+          job: link
+        }
+      });
+    }
+    
+    const result = await run;
+    res.json({
+      status: 'success',
+      job: {
+        ...result.job,
+        rows: result.rows || await jobStore.getRows(result.job)
+      },
+      links: {
+        job: link
+      }
+    });
+  } catch (error) {
+    logger.error('Error starting contact import', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to import contacts'
+    });
+  }
+});
+
+// Poll a background job. ?rows=failed (or success, skipped) limits the
+// per-row report to rows with that status.
+app.get('/api/hubspot/jobs/:jobId', requireScope('read'), loadPortal, requirePortal, async (req, res) => {
+  try {
+    const job = await jobStore.get(req.params.jobId);
+    if (!job || job.portalId !== String(req.portal.portalId)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `No job with id ${req.params.jobId} for this portal`
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      job: {
+        ...job,
+        rows: await jobStore.getRows(job, { statuses: parseList(req.query.rows) })
+      }
+    });
+  } catch (error) {
+    logger.error('Error reading job', { error });
+    res.status(500).json({
+      error: 'Failed to read job',
+      message: error.message
+    });
+  }
+});
+
+// Property definitions of an object type with their groups, types and
+// options. ?group=, ?type= and ?q= (matched against name and label) filter
+// the properties returned.
+app.get('/api/hubspot/properties/:objectType', requireScope('read'), loadPortal, requirePortal, resolveObjectTypeParam, requireHubSpotScopes(req => objectSchemaScopes(req.objectType)), responseCache.middleware('properties', ['properties']), async (req, res) => {
+  try {
+    const { objectType, name } = req.objectType;
+    const { properties, groups } = await fetchProperties(req.hubspot, objectType);
+    
+    const groupFilter = parseList(req.query.group);
+    const typeFilter = parseList(req.query.type);
+    const text = String(req.query.q || '').toLowerCase();
+    const selected = properties.filter(property =>
+      (groupFilter.length === 0 || groupFilter.includes(property.groupName)) &&
+      (typeFilter.length === 0 || typeFilter.includes(property.type) || typeFilter.includes(property.fieldType)) &&
+      (!text || property.name.toLowerCase().includes(text) || String(property.label || '').toLowerCase().includes(text)));
+    
+    res.json({
+      status: 'success',
+      objectType: name,
+      total: properties.length,
+      count: selected.length,
+      groups: groups.map(group => ({
+        name: group.name,
+        label: group.label,
+        displayOrder: group.displayOrder,
+        properties: properties.filter(property => property.groupName === group.name).length
+      })),
+      properties: selected.map(describeProperty),
+      links: {
+        diff: `/api/hubspot/properties/${req.params.objectType}/diff`,
+        records: `/api/hubspot/objects/${req.params.objectType}`
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching HubSpot properties', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to read HubSpot properties'
+    });
+  }
+});
+
+// Report properties added, removed, retyped, relabelled, moved between
+// groups or with changed options since the last snapshot. Take a snapshot
+// with POST /api/hubspot/properties/:objectType/snapshot.
+app.get('/api/hubspot/properties/:objectType/diff', requireScope('read'), loadPortal, requirePortal, resolveObjectTypeParam, requireHubSpotScopes(req => objectSchemaScopes(req.objectType)), async (req, res) => {
+  try {
+    const { objectType, name } = req.objectType;
+    const snapshot = await propertySnapshots.get(req.portal.portalId, objectType);
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'No snapshot',
+        message: `No ${name} property snapshot has been taken for this portal yet`,
+        links: {
+          snapshot: `/api/hubspot/properties/${req.params.objectType}/snapshot`
+        }
+      });
+    }
+    
+    const { properties } = await fetchProperties(req.hubspot, objectType);
+    const diff = diffProperties(snapshot.properties, snapshotProperties(properties));
+    
+    res.json({
+      status: 'success',
+      objectType: name,
+      since: snapshot.takenAt,
+      ...diff,
+      links: {
+        properties: `/api/hubspot/properties/${req.params.objectType}`,
+        snapshot: `/api/hubspot/properties/${req.params.objectType}/snapshot`
+      }
+    });
+  } catch (error) {
+    logger.error('Error comparing HubSpot properties', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to compare HubSpot properties'
+    });
+  }
+});
+
+// Save the current property definitions as the baseline for the diff
+// route. Answers with the changes since the snapshot it replaces, if any.
+app.post('/api/hubspot/properties/:objectType/snapshot', requireScope('write'), loadPortal, requirePortal, resolveObjectTypeParam, requireHubSpotScopes(req => objectSchemaScopes(req.objectType)), async (req, res) => {
+  try {
+    const { objectType, name } = req.objectType;
+    const previous = await propertySnapshots.get(req.portal.portalId, objectType);
+    const { properties } = await fetchProperties(req.hubspot, objectType);
+    const snapshot = await propertySnapshots.save(req.portal.portalId, objectType, properties);
+    logger.info('Saved property snapshot', { objectType, properties: snapshot.count });
+    
+    res.status(previous ? 200 : 201).json({
+      status: 'success',
+      message: `Saved a snapshot of ${snapshot.count} ${name} properties`,
+      objectType: name,
+      takenAt: snapshot.takenAt,
+      count: snapshot.count,
+      previous: previous ? {
+        takenAt: previous.takenAt,
+        ...diffProperties(previous.properties, snapshot.properties)
+      } : null,
+      links: {
+        diff: `/api/hubspot/properties/${req.params.objectType}/diff`
+      }
+    });
+  } catch (error) {
+    logger.error('Error saving property snapshot', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to save property snapshot'
+    });
+  }
+});
+
+// How a stored mapping profile is listed
+function describeMapping(profile) {
+  return {
+    name: profile.name,
+    objectType: profile.objectType,
+    description: profile.description,
+    fields: profile.fields.length,
+    passthrough: profile.passthrough,
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt,
+    links: {
+      self: `/api/mappings/${profile.name}`,
+      records: `/api/hubspot/objects/${profile.objectType}?mapping=${profile.name}`
+    }
+  };
+}
+
+// Check a profile from a request body and resolve its object type. Sends a
+// 400 (or a 403 for missing HubSpot scopes) and returns null when invalid.
+async function readMappingProfile(req, res, input) {
+  const { errors, profile } = validateProfile(input);
+  if (errors.length > 0) {
+    res.status(400).json({
+      error: 'Invalid mapping profile',
+      errors,
+      types: MAPPING_TYPES
+    });
+    return null;
+  }
+  
+  const objectType = await resolveObjectType(req.hubspot, profile.objectType);
+  if (!objectType) {
+    res.status(400).json({
+      error: 'Invalid mapping profile',
+      errors: [`${profile.objectType} is not a standard object or a custom object in this portal`]
+    });
+    return null;
+  }
+  // The property definitions are needed to check the profile
+  if (!(await checkHubSpotScopes(req, res, objectSchemaScopes(objectType)))) return null;
+  
+  const schema = await getObjectSchema(req.hubspot, objectType.objectType);
+  const propertyErrors = checkProfileProperties(profile, schema.properties || []);
+  if (propertyErrors.length > 0) {
+    res.status(400).json({
+      error: 'Invalid mapping profile',
+      errors: propertyErrors,
+      links: {
+        properties: `/api/hubspot/properties/${objectType.objectType}`
+      }
+    });
+    return null;
+  }
+  return { ...profile, objectType: objectType.objectType };
+}
+
+// List the mapping profiles of the portal
+app.get('/api/mappings', requireScope('read'), loadPortal, requirePortal, async (req, res) => {
+  try {
+    const profiles = await mappingStore.list(req.portal.portalId);
+    res.json({
+      status: 'success',
+      count: profiles.length,
+      mappings: profiles.map(describeMapping),
+      links: {
+        preview: '/api/mappings/preview'
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing mapping profiles', { error });
+    res.status(500).json({
+      error: 'Failed to list mapping profiles',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/mappings/:name', requireScope('read'), loadPortal, requirePortal, async (req, res) => {
+  try {
+    const profile = await mappingStore.get(req.portal.portalId, req.params.name);
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Mapping not found',
+        message: `No mapping profile named ${req.params.name}`
+      });
+    }
+    res.json({
+      status: 'success',
+      mapping: profile,
+      links: describeMapping(profile).links
+    });
+  } catch (error) {
+    logger.error('Error reading mapping profile', { error });
+    res.status(500).json({
+      error: 'Failed to read mapping profile',
+      message: error.message
+    });
+  }
+});
+
+// Create or replace a mapping profile (see lib/mapping.js for the format).
+// Every property it reads must exist on the object type.
+app.put('/api/mappings/:name', requireScope('write'), loadPortal, requirePortal, async (req, res) => {
+  try {
+    if (!isValidName(req.params.name)) {
+      return res.status(400).json({
+        error: 'Invalid mapping profile',
+        errors: ['The name may only contain letters, digits, _, - and . (at most 64 characters)']
+      });
+    }
+    
+    const profile = await readMappingProfile(req, res, req.body);
+    if (!profile) return;
+    
+    const { profile: saved, created } = await mappingStore.save(req.portal.portalId, req.params.name, profile);
+    await responseCache.invalidate(req.portal.portalId, [`mapping:${saved.name}`]);
+    logger.info(`${created ? 'Created' : 'Updated'} mapping profile`, { mapping: saved.name, objectType: saved.objectType });
+    
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: `${created ? 'Created' : 'Updated'} mapping ${saved.name}`,
+      mapping: saved,
+      links: describeMapping(saved).links
+    });
+  } catch (error) {
+    logger.error('Error saving mapping profile', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to save mapping profile'
+    });
+  }
+});
+
+app.delete('/api/mappings/:name', requireScope('write'), loadPortal, requirePortal, async (req, res) => {
+  try {
+    if (!(await mappingStore.delete(req.portal.portalId, req.params.name))) {
+      return res.status(404).json({
+        error: 'Mapping not found',
+        message: `No mapping profile named ${req.params.name}`
+      });
+    }
+    await responseCache.invalidate(req.portal.portalId, [`mapping:${req.params.name}`]);
+    logger.info('Deleted mapping profile', { mapping: req.params.name });
+    
+    res.json({
+      status: 'success',
+      message: `Deleted mapping ${req.params.name}`,
+      links: {
+        mappings: '/api/mappings'
+      }
+    });
+  } catch (error) {
+    logger.error('Error deleting mapping profile', { error });
+    res.status(500).json({
+      error: 'Failed to delete mapping profile',
+      message: error.message
+    });
+  }
+});
+
+// Show what a profile (saved or given) makes of sample `records` or of `limit`
+// records read from HubSpot
+app.post('/api/mappings/preview', requireScope('read'), loadPortal, requirePortal, async (req, res) => {
+  try {
+    const body = req.body || {};
+    let profile;
+    if (body.mapping) {
+      profile = await mappingStore.get(req.portal.portalId, body.mapping);
+      if (!profile) {
+        return res.status(404).json({
+          error: 'Mapping not found',
+          message: `No mapping profile named ${body.mapping}`
+        });
+      }
+    } else {
+      profile = await readMappingProfile(req, res, body.profile);
+      if (!profile) return;
+    }
+    
+    const limit = parseInt(body.limit) || 5;
+    if (body.records !== undefined && (!Array.isArray(body.records) || body.records.length === 0)) {
+      return res.status(400).json({
+        error: 'Invalid preview',
+        message: 'records must be a non-empty array'
+      });
+    }
+    if (limit < 1 || limit > 20) {
+      return res.status(400).json({
+        error: 'Invalid preview',
+        message: 'limit must be between 1 and 20'
+      });
+    }
+    
+    const mapper = await buildMapper(req, profile);
+    let records;
+    if (body.records) {
+      records = body.records.map(record => (record && typeof record === 'object' && record.properties ? record : { properties: record || {} }));
+    } else {
+      const objectType = await resolveObjectType(req.hubspot, profile.objectType);
+      if (!objectType) {
+        return res.status(400).json({
+          error: 'Invalid preview',
+          message: `${profile.objectType} is no longer an object type in this portal`
+        });
+      }
+      if (!(await checkHubSpotScopes(req, res, objectReadScopes(objectType)))) return;
+      const data = await req.hubspot.get(`/crm/v3/objects/${encodeURIComponent(profile.objectType)}`, {
+        params: {
+          limit,
+          properties: mapper.properties.join(',') || undefined
+        }
+      });
+      records = data.results || [];
+    }
+    
+    const results = records.map(record => ({ input: record, ...mapper.map(record) }));
+    res.json({
+      status: 'success',
+      mapping: profile.name || null,
+      objectType: profile.objectType,
+      count: results.length,
+      columns: mapper.columns,
+      errors: results.reduce((total, result) => total + result.errors.length, 0),
+      results
+    });
+  } catch (error) {
+    logger.error('Error previewing mapping profile', { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to preview mapping profile'
+    });
+  }
+});
+
+// Get records of any standard or custom object type
+app.get('/api/hubspot/objects/:objectType', requireScope('read'), loadPortal, requirePortal, resolveObjectTypeParam, requireHubSpotScopes(req => objectReadScopes(req.objectType)), responseCache.middleware('objects', withMappingTag(req => [req.objectType.objectType])), loadMapping(req => req.objectType.objectType), (req, res) => {
+  listObjects(req, res, {
+    objectType: req.objectType.objectType,
+    label: req.objectType.name,
+    resultKey: 'results',
+    links: { schemas: '/api/hubspot/schemas' }
+  });
+});
+
+// Get a single record by id (or by a unique property with ?idProperty=)
+app.get('/api/hubspot/objects/:objectType/:id', requireScope('read'), loadPortal, requirePortal, resolveObjectTypeParam, requireHubSpotScopes(req => objectReadScopes(req.objectType)), responseCache.middleware('objects', withMappingTag(req => [req.objectType.objectType])), loadMapping(req => req.objectType.objectType), async (req, res) => {
+  try {
+    const { objectType, name } = req.objectType;
+    
+    const source = readSource(req, res);
+    if (!source) return;
+    
+    const query = await readObjectQuery(req, res, objectType);
+    if (!query) return;
+    
+    let record;
+    let syncState = null;
+    if (source === 'cache') {
+      syncState = await readMirrorState(req, res, objectType, query);
+      if (!syncState) return;
+      
+      record = projectRecord(await mirror.get(req.portal.portalId, objectType, req.params.id), parseList(query.properties));
+      if (!record) {
+        return res.status(404).json({
+          error: 'Record not found',
+          message: `No ${name} record with id ${req.params.id} in the mirror (last synced ${syncState.lastSuccessAt})`
+        });
+      }
+    } else {
+      record = await req.hubspot.get(`/crm/v3/objects/${encodeURIComponent(objectType)}/${encodeURIComponent(req.params.id)}`, {
+        params: {
+          ...query,
+          idProperty: req.query.idProperty || undefined
+        }
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      objectType: name,
+      source: source,
+      syncedAt: syncState ? syncState.lastSuccessAt : undefined,
+      mapping: req.mapping ? req.mapping.name : undefined,
+      result: req.mapping ? req.mapping.apply(record) : record,
+      links: {
+        list: `/api/hubspot/objects/${req.params.objectType}`,
+        schemas: '/api/hubspot/schemas'
+      }
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({
+        error: 'Record not found',
+        message: `No ${req.objectType.name} record with id ${req.params.id}`
+      });
+    }
+    
+    logger.error(`Error fetching HubSpot ${req.objectType.name} record`, { error });
+    sendHubSpotError(res, error, {
+      error: 'Failed to access HubSpot CRM',
+      authUrl: '/auth/hubspot?force=true'
+    });
+  }
+});
+
+// Get lists from HubSpot (v3 Lists API), optionally filtered by name
+// (?query=) and processing type (?processingType=MANUAL,DYNAMIC,SNAPSHOT)
+app.get('/api/hubspot/lists', requireScope('read'), loadPortal, requirePortal, requireHubSpotScopes(['crm.lists.read']), responseCache.middleware('lists', ['lists']), async (req, res) => {
+  try {
+    // Get limit and offset from query params or use defaults
+    const limit = parseLimit(req.query.limit);
+    const offset = parseInt(req.query.offset) || 0;
+    
+    const processingTypes = parseList(req.query.processingType).map(type => type.toUpperCase());
+    const invalidTypes = processingTypes.filter(type => !LIST_PROCESSING_TYPES.includes(type));
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: `Unsupported processingType: ${invalidTypes.join(', ')}`,
+        allowedProcessingTypes: LIST_PROCESSING_TYPES
+      });
+    }
+    
+    logger.info('Fetching lists', { limit, offset });
+    
+    // Call HubSpot API to search lists
+    const data = await req.hubspot.post('/crm/v3/lists/search', {
+      query: req.query.query || undefined,
+      processingTypes: processingTypes.length ? processingTypes : undefined,
+      count: limit,
+      offset
+    }, { idempotent: true });
     
     // Extract data
-    const lists = response.data.lists || [];
+    const lists = data.lists || [];
+    const next = data.hasMore ? buildNextLink(req, data.offset, 'offset') : null;
     
     res.json({
       status: 'success',
       count: lists.length,
+      total: data.total,
       limit: limit,
+      offset: offset,
       lists: lists,
+      paging: next ? { next: { offset: data.offset, link: next } } : null,
       links: {
+        next: next,
         contacts: '/api/hubspot/contacts',
-        logout: '/auth/logout'
+        logout: 'POST /auth/logout'
       }
     });
   } catch (error) {
-    console.error(`Error fetching HubSpot lists:`, error.message);
-    if (error.response) {
-      console.error('Error details:', error.response.data);
-    }
-    res.status(500).json({
+    logger.error(`Error fetching HubSpot lists`, { error });
+    sendHubSpotError(res, error, {
       error: `Failed to access HubSpot lists`,
-      message: error.message,
-      details: error.response?.data,
       links: {
         contacts: '/api/hubspot/contacts',
         authenticate: '/auth/hubspot?force=true'
@@ -600,8 +2602,544 @@ app.get('/api/hubspot/lists', async (req, res) => {
   }
 });
 
+// Get a single list by id (?includeFilters=true adds the filter definition)
+app.get('/api/hubspot/lists/:listId', requireScope('read'), loadPortal, requirePortal, requireHubSpotScopes(['crm.lists.read']), responseCache.middleware('lists', ['lists']), async (req, res) => {
+  try {
+    const data = await req.hubspot.get(`/crm/v3/lists/${encodeURIComponent(req.params.listId)}`, {
+      params: {
+        includeFilters: parseBoolean(req.query.includeFilters) || undefined
+      }
+    });
+    
+    res.json({
+      status: 'success',
+      list: data.list,
+      links: {
+        members: `/api/hubspot/lists/${req.params.listId}/members`,
+        lists: '/api/hubspot/lists'
+      }
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({
+        error: 'List not found',
+        message: `No list with id ${req.params.listId}`
+      });
+    }
+    
+    logger.error(`Error fetching HubSpot list`, { error });
+    sendHubSpotError(res, error, {
+      error: `Failed to access HubSpot lists`
+    });
+  }
+});
+
+// Page through list membership. With ?hydrate=true each member is returned
+// with its record (and the ?properties= selected) from a batch read.
+app.get('/api/hubspot/lists/:listId/members', requireScope('read'), loadPortal, requirePortal, requireHubSpotScopes(['crm.lists.read']), responseCache.middleware('listMembers', ['lists', 'contacts']), async (req, res) => {
+  try {
+    const listId = encodeURIComponent(req.params.listId);
+    
+    const fetchAll = req.query.all === 'true';
+    const limit = fetchAll ? parseFetchAllMax(req.query.max) : parseLimit(req.query.limit);
+    const after = req.query.after || null;
+    
+    const format = readFormat(req, res);
+    if (!format) return;
+    
+    const hydrate = parseBoolean(req.query.hydrate);
+    const properties = parseList(req.query.properties);
+    if (hydrate === null) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: 'hydrate must be true or false'
+      });
+    }
+    
+    // Members are hydrated from the object type the list is built on
+    let objectTypeId = null;
+    if (hydrate) {
+      const { list } = await req.hubspot.get(`/crm/v3/lists/${listId}`);
+      objectTypeId = list.objectTypeId;
+      
+      const unknownProperties = await findUnknownProperties(req.hubspot, objectTypeId, properties);
+      if (unknownProperties.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          message: `Unknown properties: ${unknownProperties.join(', ')}`,
+          unknownProperties
+        });
+      }
+    }
+    
+    logger.info('Fetching list members', { listId: req.params.listId, limit, hydrate, format });
+    
+    const fetchPage = page => req.hubspot.get(`/crm/v3/lists/${listId}/memberships`, {
+      params: {
+        limit: page.limit,
+        after: page.after || undefined
+      }
+    });
+    
+    // Attach each member's record, one batch read (max 100 ids) per page
+    const hydratePage = async (memberships) => {
+      if (!hydrate || memberships.length === 0) return memberships;
+      
+      const data = await req.hubspot.post(`/crm/v3/objects/${objectTypeId}/batch/read`, {
+        inputs: memberships.map(member => ({ id: String(member.recordId) })),
+        properties
+      }, { idempotent: true });
+      
+      const records = new Map((data.results || []).map(record => [String(record.id), record]));
+      return memberships.map(member => ({
+        ...member,
+        record: records.get(String(member.recordId)) || null
+      }));
+    };
+    
+    if (format !== 'json') {
+      return await streamExport(res, {
+        format,
+        filename: `list-${req.params.listId}-members`,
+        columns: ['recordId', 'membershipTimestamp', ...(hydrate ? ['id', ...properties] : [])],
+        fetchPage,
+        limit,
+        after,
+        fetchAll,
+        toRows: async (memberships) => (await hydratePage(memberships)).map(member => ({
+          recordId: member.recordId,
+          membershipTimestamp: member.membershipTimestamp,
+          ...(member.record ? flattenRecord(member.record) : {})
+        }))
+      });
+    }
+    
+    const members = [];
+    const { after: nextAfter, pages } = await walkPages(fetchPage, {
+      limit,
+      after,
+      onPage: async (memberships) => {
+        members.push(...await hydratePage(memberships));
+      }
+    });
+    
+    const next = buildNextLink(req, nextAfter);
+    
+    res.json({
+      status: 'success',
+      listId: req.params.listId,
+      count: members.length,
+      limit: limit,
+      pages: pages,
+      truncated: fetchAll && !!nextAfter,
+      members: members,
+      paging: nextAfter ? { next: { after: nextAfter, link: next } } : null,
+      links: {
+        next: next,
+        list: `/api/hubspot/lists/${req.params.listId}`,
+        lists: '/api/hubspot/lists'
+      }
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({
+        error: 'List not found',
+        message: `No list with id ${req.params.listId}`
+      });
+    }
+    
+    logger.error(`Error fetching HubSpot list members`, { error });
+    sendHubSpotError(res, error, {
+      error: `Failed to access HubSpot list members`
+    });
+  }
+});
+
+// Sync an object type (default contacts) into the mirror, incrementally unless
+// full=true. wait=false runs it in the background (not on serverless).
+app.post('/api/sync/run', requireScope('write'), loadPortal, requirePortal, async (req, res) => {
+  try {
+    const options = { ...req.query, ...req.body };
+    const full = parseBoolean(options.full);
+    const wait = parseBoolean(options.wait);
+    if (full === null || wait === null) {
+      return res.status(400).json({
+        error: 'Invalid sync request',
+        message: 'full and wait must be true or false'
+      });
+    }
+    
+    const resolved = await resolveObjectType(req.hubspot, options.objectType || 'contacts');
+    if (!resolved) {
+      return res.status(404).json({
+        error: 'Unknown object type',
+        message: `${options.objectType} is not a standard object or a custom object in this portal`,
+        links: {
+          schemas: '/api/hubspot/schemas'
+        }
+      });
+    }
+    if (!(await checkHubSpotScopes(req, res, objectReadScopes(resolved)))) return;
+    
+    logger.info('Starting sync', { objectType: resolved.name, full: !!full, portalId: req.portal.portalId });
+    const sync = runSync({ hubspot: req.hubspot, mirror, objectType: resolved.objectType, full: !!full });
+    
+    if (wait === false) {
+      // Surface a conflict straight away, log anything else
+      await Promise.race([sync, new Promise(resolve => setImmediate(resolve))]);
+      sync.catch(error => {
+        if (!(error instanceof SyncInProgressError)) {
+          logger.error(`Background ${resolved.name} sync failed`, { error });
+        }
+      });
+      return res.status(202).json({
+        status: 'accepted',
+        message: `${resolved.name} sync started`,
+        links: {
+          status: '/api/sync/status'
+        }
+      });
+    }
+    
+    const result = await sync;
+    res.json({
+      status: 'success',
+      message: `Synced ${resolved.name}`,
+      objectType: resolved.objectType,
+      result,
+      links: {
+        status: '/api/sync/status',
+        cache: `/api/hubspot/objects/${resolved.objectType}?source=cache`
+      }
+    });
+  } catch (error) {
+    if (error instanceof SyncInProgressError) {
+      return res.status(409).json({
+        error: 'Sync already running',
+        message: error.message,
+        links: {
+          status: '/api/sync/status'
+        }
+      });
+    }
+    
+    logger.error('Error running sync', { error });
+    sendHubSpotError(res, error, {
+      error: 'Sync failed',
+      links: {
+        status: '/api/sync/status'
+      }
+    });
+  }
+});
+
+// Sync state of every mirrored object type of the portal
+app.get('/api/sync/status', requireScope('read'), loadPortal, requirePortal, async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      portalId: req.portal.portalId,
+      driver: mirror.driver,
+      objects: await getSyncStatus(mirror, req.portal.portalId)
+    });
+  } catch (error) {
+    logger.error('Error reading sync status', { error });
+    res.status(500).json({
+      error: 'Failed to read sync status',
+      message: error.message
+    });
+  }
+});
+
+// Keep synced object types of the mirror current from webhook events. Safe to
+// run twice: records are re-read from HubSpot rather than taken from the event.
+async function mirrorWebhookEvents(events, { portalId }) {
+  const { objectType, action } = describeEvent(events[0]);
+  if (!objectType) return;
+  
+  const state = await mirror.getState(portalId, objectType);
+  const portal = await tokenStore.getPortal(portalId);
+  if (!state || !state.lastSuccessAt || !portal) return;
+  
+  const toRemove = [];
+  const toRefresh = [];
+  for (const event of events) {
+    if (action === 'deletion' || action === 'privacyDeletion') {
+      toRemove.push(event.objectId);
+    } else if (action === 'merge') {
+      const survivor = event.newObjectId || event.primaryObjectId;
+      toRemove.push(...(event.mergedObjectIds || []).filter(id => id !== survivor));
+      toRefresh.push(survivor);
+    } else if (event.objectId !== undefined) {
+      // creation, propertyChange, restore
+      toRefresh.push(event.objectId);
+    }
+  }
+  
+  if (toRemove.length > 0) {
+    await mirror.remove(portalId, objectType, toRemove);
+    await mirror.flush();
+  }
+  if (toRefresh.length > 0) {
+    await refreshRecords({ hubspot: hubspot.forPortal(portal), mirror, objectType, ids: toRefresh });
+  }
+  logger.info('Applied webhook events to the mirror', { events: events.length, subscriptionType: events[0].subscriptionType, objectType, portalId });
+}
+
+if (process.env.WEBHOOK_MIRROR === 'true') {
+  webhooks.on('*', mirrorWebhookEvents);
+}
+
+// Drop cached responses holding records the events touched. Contact events
+// also invalidate lists, whose sizes and dynamic memberships follow contacts.
+webhooks.on('*', async (events, { portalId }) => {
+  const { objectType } = describeEvent(events[0]);
+  if (!objectType) return;
+  await responseCache.invalidate(portalId, objectType === 'contacts' ? ['contacts', 'lists'] : [objectType]);
+});
+
+// The URL HubSpot signed: WEBHOOK_URL when set (needed behind proxies that
+// rewrite the host or path), otherwise the URL of this request
+function webhookUri(req) {
+  if (process.env.WEBHOOK_URL) {
+    return process.env.WEBHOOK_URL;
+  }
+  const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  return `${protocol}://${req.get('host')}${req.originalUrl}`;
+}
+
+// Receive HubSpot webhook events. Deliveries must carry a valid v3
+// signature and a recent timestamp; events already processed are skipped.
+app.post('/webhooks/hubspot', async (req, res) => {
+  try {
+    if (!process.env.HUBSPOT_CLIENT_SECRET) {
+      return res.status(500).json({
+        error: 'Webhooks not configured',
+        message: 'HUBSPOT_CLIENT_SECRET is required to validate webhook signatures'
+      });
+    }
+    
+    const problem = verifySignature({
+      clientSecret: process.env.HUBSPOT_CLIENT_SECRET,
+      method: req.method,
+      uri: webhookUri(req),
+      rawBody: req.rawBody,
+      signature: req.get('x-hubspot-signature-v3'),
+      timestamp: req.get('x-hubspot-request-timestamp')
+    });
+    if (problem) {
+      logger.warn('Rejected webhook delivery', { reason: problem });
+      return res.status(401).json({
+        error: 'Invalid webhook signature',
+        message: problem
+      });
+    }
+    
+    if (!Array.isArray(req.body)) {
+      return res.status(400).json({
+        error: 'Invalid webhook payload',
+        message: 'Expected a JSON array of events'
+      });
+    }
+    
+    const result = await webhooks.dispatch(req.body);
+    logger.info('Received webhook events', { received: result.received, duplicates: result.duplicates });
+    
+    // A non-2xx answer makes HubSpot retry the delivery
+    if (result.failures.length > 0) {
+      return res.status(500).json({
+        error: 'Webhook processing failed',
+        ...result
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error handling webhook', { error });
+    res.status(500).json({
+      error: 'Webhook processing failed',
+      message: error.message
+    });
+  }
+});
+
+// Re-encrypt stored tokens with the current TOKEN_ENCRYPTION_KEY, after
+// rotating the key (the old one must be in TOKEN_ENCRYPTION_PREVIOUS_KEYS)
+app.post('/api/admin/encryption/rotate', requireScope('admin'), async (req, res) => {
+  try {
+    if (!tokenStore.cipher) {
+      return res.status(400).json({
+        error: 'Encryption not configured',
+        message: 'Set TOKEN_ENCRYPTION_KEY to encrypt stored tokens'
+      });
+    }
+    
+    const result = await tokenStore.rotateEncryption();
+    logger.info('Re-encrypted stored tokens', { reencrypted: result.reencrypted, total: result.total, keyId: tokenStore.cipher.currentKeyId });
+    
+    res.status(result.failed.length > 0 ? 500 : 200).json({
+      status: result.failed.length > 0 ? 'partial' : 'success',
+      keyId: tokenStore.cipher.currentKeyId,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error rotating encryption key', { error });
+    res.status(500).json({
+      error: 'Failed to re-encrypt tokens',
+      message: error.message
+    });
+  }
+});
+
+// Refresh tokens that expire soon. Called by Vercel cron (see vercel.json,
+// daily on Hobby plans) with CRON_SECRET, or by an admin.
+app.get('/api/cron/refresh-tokens', requireCron(), async (req, res) => {
+  try {
+    const result = await tokenRefresh.runOnce();
+    res.status(result.failed.length > 0 ? 500 : 200).json({
+      status: result.failed.length > 0 ? 'partial' : 'success',
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error refreshing tokens', { error });
+    res.status(500).json({
+      error: 'Token refresh failed',
+      message: error.message
+    });
+  }
+});
+
+// Liveness and recent activity: the last token refresh run and the last
+// HubSpot calls. Call details are those of this instance.
+app.get('/health', async (req, res) => {
+  let lastRun = null;
+  try {
+    lastRun = await tokenRefresh.lastRun();
+  } catch (error) {
+    // Storage problems are reported by /ready
+  }
+  
+  const metrics = hubspot.getMetrics();
+  res.json({
+    status: 'ok',
+    time: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    tokenRefresh: {
+      ...tokenRefresh.getStatus(),
+      lastRun: lastRun ? {
+        startedAt: lastRun.startedAt,
+        finishedAt: lastRun.finishedAt,
+        checked: lastRun.checked,
+        refreshed: lastRun.refreshed.length,
+        revoked: lastRun.revoked.length,
+        failed: lastRun.failed.length
+      } : null
+    },
+    hubspot: {
+      lastCallAt: metrics.lastCallAt,
+      lastSuccessfulCallAt: metrics.lastSuccessfulCallAt,
+      lastRefresh: metrics.lastRefresh ? {
+        at: metrics.lastRefresh.at,
+        success: metrics.lastRefresh.success
+      } : null
+    },
+    links: {
+      ready: '/ready'
+    }
+  });
+});
+
+// Readiness: configuration is complete and the store can be read. Also
+// counts connected portals by token state.
+app.get('/ready', async (req, res) => {
+  const checks = {
+    config: {
+      ok: !!(process.env.HUBSPOT_CLIENT_ID && process.env.HUBSPOT_CLIENT_SECRET),
+      message: process.env.HUBSPOT_CLIENT_ID && process.env.HUBSPOT_CLIENT_SECRET ? undefined : 'HUBSPOT_CLIENT_ID and HUBSPOT_CLIENT_SECRET must be set'
+    }
+  };
+  
+  let portals = null;
+  try {
+    const records = await tokenStore.listPortals();
+    // In-memory storage loses every connection on a cold start
+    checks.storage = isProduction && !storage.persistent
+      ? { ok: false, driver: storage.driver, message: 'Storage is not persistent, set REDIS_URL' }
+      : { ok: true, driver: storage.driver };
+    portals = { total: records.length, valid: 0, expired: 0, revoked: 0, unreadable: 0 };
+    for (const portal of records) {
+      if (portal.integrityError) portals.unreadable++;
+      else if (portal.revokedAt) portals.revoked++;
+      else if (portal.expiry_date && portal.expiry_date <= Date.now()) portals.expired++;
+      else portals.valid++;
+    }
+  } catch (error) {
+    logger.error('Readiness check failed to read storage', { error });
+    checks.storage = { ok: false, driver: storage.driver, message: error.message };
+  }
+  
+  const ready = Object.values(checks).every(check => check.ok);
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not ready',
+    checks,
+    portals
+  });
+});
+
+// HubSpot quota gauges, set from the rate-limit headers of the latest
+// response for each portal whenever /metrics is scraped
+const quotaGauges = {
+  dailyRemaining: metricsRegistry.gauge('hubspot_ratelimit_daily_remaining', 'Calls left in the HubSpot daily limit'),
+  daily: metricsRegistry.gauge('hubspot_ratelimit_daily_limit', 'HubSpot daily call limit'),
+  intervalRemaining: metricsRegistry.gauge('hubspot_ratelimit_interval_remaining', 'Calls left in the current HubSpot burst window'),
+  interval: metricsRegistry.gauge('hubspot_ratelimit_interval_limit', 'HubSpot calls allowed per burst window'),
+  intervalSeconds: metricsRegistry.gauge('hubspot_ratelimit_interval_seconds', 'Length of the HubSpot burst window'),
+  secondlyRemaining: metricsRegistry.gauge('hubspot_ratelimit_secondly_remaining', 'Calls left in the current second'),
+  secondly: metricsRegistry.gauge('hubspot_ratelimit_secondly_limit', 'HubSpot calls allowed per second')
+};
+metricsRegistry.collect(() => {
+  Object.values(quotaGauges).forEach(gauge => gauge.reset());
+  for (const [portalId, state] of Object.entries(hubspot.getMetrics().rateLimits)) {
+    const labels = { portal_id: portalId };
+    const values = {
+      dailyRemaining: state.dailyRemaining,
+      daily: state.daily,
+      intervalRemaining: state.remaining,
+      interval: state.max,
+      intervalSeconds: state.intervalMs !== null ? state.intervalMs / 1000 : null,
+      secondlyRemaining: state.secondlyRemaining,
+      secondly: state.secondly
+    };
+    for (const [name, value] of Object.entries(values)) {
+      if (value !== null && value !== undefined) quotaGauges[name].set(labels, value);
+    }
+  }
+});
+
+// Prometheus metrics: connector requests, HubSpot calls, token refreshes
+// and quota. Needs an admin key unless METRICS_PUBLIC=true (for scrapers
+// on a private network).
+app.get('/metrics', (req, res, next) => {
+  if (process.env.METRICS_PUBLIC === 'true') return next();
+  requireScope('admin')(req, res, next);
+}, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metricsRegistry.render());
+});
+
+// HubSpot API call metrics (calls by status, retries, refreshes, rate limits)
+app.get('/api/hubspot/client-metrics', requireScope('admin'), (req, res) => {
+  res.json({
+    status: 'success',
+    metrics: hubspot.getMetrics()
+  });
+});
+
 // Detailed debug endpoint for HubSpot API
-app.get('/api/hubspot/detailed-debug', async (req, res) => {
+app.get('/api/hubspot/detailed-debug', requireScope('admin'), loadPortal, async (req, res) => {
   try {
     // Check environment variables
     const envInfo = {
@@ -612,51 +3150,47 @@ app.get('/api/hubspot/detailed-debug', async (req, res) => {
 
     // Token info
     const tokenInfo = {
-      hasToken: !!hubspotTokens,
-      tokenDetails: hubspotTokens ? {
-        accessTokenFirst10Chars: hubspotTokens.access_token ? hubspotTokens.access_token.substring(0, 10) + '...' : null,
-        refreshTokenExists: !!hubspotTokens.refresh_token,
-        expiryDate: hubspotTokens.expiry_date ? new Date(hubspotTokens.expiry_date).toISOString() : null,
-        isExpired: hubspotTokens.expiry_date ? Date.now() >= hubspotTokens.expiry_date : null,
-        timeToExpiry: hubspotTokens.expiry_date ? Math.floor((hubspotTokens.expiry_date - Date.now()) / 1000) + ' seconds' : null
+      hasToken: !!req.portal,
+      tokenDetails: req.portal ? {
+        portalId: req.portal.portalId,
+        hubDomain: req.portal.hubDomain,
+        refreshTokenExists: !!req.portal.refresh_token,
+        expiryDate: req.portal.expiry_date ? new Date(req.portal.expiry_date).toISOString() : null,
+        isExpired: req.portal.expiry_date ? Date.now() >= req.portal.expiry_date : null,
+        timeToExpiry: req.portal.expiry_date ? Math.floor((req.portal.expiry_date - Date.now()) / 1000) + ' seconds' : null
       } : null
     };
 
     // Log additional debug info
-    console.log('=== DETAILED HUBSPOT DEBUG ===');
-    console.log('Environment info:', envInfo);
-    console.log('Token info:', tokenInfo);
+    logger.debug('Detailed HubSpot debug', { environment: envInfo, portal: tokenInfo.tokenDetails });
+    logTokenFingerprint(req.portal);
 
     // Test API calls - try multiple endpoints to see which ones work
     const apiResponses = {};
     const apiErrors = {};
     
-    if (hubspotTokens && hubspotTokens.access_token) {
-      const accessToken = hubspotTokens.access_token;
+    if (req.portal && req.portal.access_token) {
       const testEndpoints = [
-        {name: 'contacts-schema', url: 'https://api.hubapi.com/crm/v3/schemas/contacts'},
-        {name: 'contacts', url: 'https://api.hubapi.com/crm/v3/objects/contacts'},
-        {name: 'lists', url: 'https://api.hubapi.com/contacts/v1/lists'},
-        {name: 'properties', url: 'https://api.hubapi.com/properties/v1/contacts/properties'},
-        {name: 'authentication-status', url: 'https://api.hubapi.com/oauth/v1/access-tokens/' + accessToken}
+        {name: 'contacts-schema', url: '/crm/v3/schemas/contacts'},
+        {name: 'contacts', url: '/crm/v3/objects/contacts'},
+        {name: 'lists', url: '/crm/v3/lists'},
+        {name: 'properties', url: '/properties/v1/contacts/properties'},
+        {name: 'authentication-status', url: '/oauth/v1/access-tokens/' + req.portal.access_token}
       ];
 
       for (const endpoint of testEndpoints) {
         try {
-          console.log(`Testing endpoint: ${endpoint.name} (${endpoint.url})`);
-          const response = await axios.get(endpoint.url, {
-            headers: {
-              'Authorization': `Bearer ${accessToken}`
-            }
-          });
+          logger.debug('Testing endpoint', { endpoint: endpoint.name, url: endpoint.url });
+          const response = await req.hubspot.request({ method: 'get', url: endpoint.url });
           
           apiResponses[endpoint.name] = {
             status: response.status,
             statusText: response.statusText,
             hasData: !!response.data,
-            dataPreview: JSON.stringify(response.data).substring(0, 200) + '...'
+            // The token info response contains the token itself
+            dataPreview: JSON.stringify(redact(response.data)).substring(0, 200) + '...'
           };
-          console.log(`${endpoint.name} success:`, apiResponses[endpoint.name]);
+          logger.debug('Endpoint test succeeded', { endpoint: endpoint.name, status: response.status });
         } catch (error) {
           apiErrors[endpoint.name] = {
             message: error.message,
@@ -664,27 +3198,24 @@ app.get('/api/hubspot/detailed-debug', async (req, res) => {
             statusText: error.response?.statusText,
             data: error.response?.data
           };
-          console.log(`${endpoint.name} error:`, apiErrors[endpoint.name]);
+          logger.debug('Endpoint test failed', { endpoint: endpoint.name, error });
         }
       }
 
       // Try refresh token if we have errors
-      if (Object.keys(apiErrors).length > 0 && hubspotTokens.refresh_token) {
-        console.log('Attempting token refresh...');
-        const refreshed = await refreshToken();
+      if (Object.keys(apiErrors).length > 0 && req.portal.refresh_token) {
+        logger.debug('Attempting token refresh');
+        const refreshed = await hubspot.refresh(req.portal).catch(() => null);
         if (refreshed) {
+          req.portal = refreshed;
           apiResponses['after_refresh'] = {message: 'Token refreshed successfully'};
           
           // Retry the first failed endpoint
           const failedEndpoint = testEndpoints.find(ep => apiErrors[ep.name]);
           if (failedEndpoint) {
             try {
-              console.log(`Retrying endpoint after refresh: ${failedEndpoint.name}`);
-              const retryResponse = await axios.get(failedEndpoint.url, {
-                headers: {
-                  'Authorization': `Bearer ${hubspotTokens.access_token}`
-                }
-              });
+              logger.debug('Retrying endpoint after refresh', { endpoint: failedEndpoint.name });
+              const retryResponse = await hubspot.request(refreshed, { method: 'get', url: failedEndpoint.url });
               
               apiResponses['retry_after_refresh'] = {
                 endpoint: failedEndpoint.name,
@@ -692,7 +3223,7 @@ app.get('/api/hubspot/detailed-debug', async (req, res) => {
                 statusText: retryResponse.statusText,
                 hasData: !!retryResponse.data
               };
-              console.log('Retry success:', apiResponses['retry_after_refresh']);
+              logger.debug('Retry after refresh succeeded', { endpoint: failedEndpoint.name, status: retryResponse.status });
             } catch (retryError) {
               apiErrors['retry_after_refresh'] = {
                 endpoint: failedEndpoint.name,
@@ -701,12 +3232,12 @@ app.get('/api/hubspot/detailed-debug', async (req, res) => {
                 statusText: retryError.response?.statusText,
                 data: retryError.response?.data
               };
-              console.log('Retry failed:', apiErrors['retry_after_refresh']);
+              logger.debug('Retry after refresh failed', { endpoint: failedEndpoint.name, error: retryError });
             }
           }
         } else {
           apiErrors['refresh_attempt'] = {message: 'Token refresh failed'};
-          console.log('Token refresh failed');
+          logger.debug('Token refresh failed');
         }
       }
     }
@@ -726,23 +3257,59 @@ app.get('/api/hubspot/detailed-debug', async (req, res) => {
       links: {
         authenticate: '/auth/hubspot',
         forceAuth: '/auth/hubspot?force=true',
-        logout: '/auth/logout'
+        logout: 'POST /auth/logout'
       }
     });
   } catch (error) {
-    console.error('Error in detailed debug endpoint:', error);
+    // The stack stays in the logs
+    logger.error('Error in detailed debug endpoint', { error, stack: error.stack });
     res.status(500).json({
       error: "Detailed debug error",
       message: error.message,
-      stack: error.stack
+      requestId: req.id
+    });
+  }
+});
+
+// JSON errors for anything the routes did not handle, e.g. a store that
+// refused to load
+app.use((error, req, res, next) => {
+  logger.error(`Unhandled error on ${req.method} ${req.path}`, { error });
+  if (res.headersSent) {
+    return next(error);
+  }
+  
+  // Body parser errors (malformed JSON, payload too large) carry a status
+  if (error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({
+      error: 'Invalid request',
+      message: error.message
+    });
+  }
+  
+  if (error.code === 'STORAGE_CORRUPTED') {
+    return res.status(503).json({
+      error: 'Storage unavailable',
+      message: 'The connector store could not be loaded, see the server logs'
     });
   }
+  res.status(500).json({
+    error: 'Internal server error',
+    message: error.message,
+    requestId: req.id
+  });
 });
 
 // Start server (only in development - not needed in serverless)
 if (!isProduction) {
-  app.listen(PORT, () => {
-    console.log(`Server running at http://localhost:${PORT}`);
+  app.listen(PORT, async () => {
+    logger.info(`Server running at http://localhost:${PORT}`);
+    // Tokens saved by versions that kept one connection in hubspot-tokens.json
+    await importLegacyTokens({ tokenStore, hubspot });
+    // On Vercel the cron route does this instead
+    if (refreshIntervalMinutes > 0) {
+      tokenRefresh.start();
+    }
   });
 }
 
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { runBatchImport } = require('../lib/batch');
+
+const schema = {
+  properties: [
+    { name: 'email', type: 'string', fieldType: 'text' },
+    { name: 'firstname', type: 'string', fieldType: 'text' }
+  ]
+};
+
+function records(count) {
+  return Array.from({ length: count }, (_, index) => ({ record: { email: `u${index}@x.com`, firstname: `U${index}` } }));
+}
+
+// A client answering batch calls, recording the size of each
+function fakeClient(answer = inputs => ({ results: inputs.map((input, index) => ({ id: String(index), properties: input.properties })) })) {
+  const calls = [];
+  return {
+    calls,
+    post: async (url, body) => {
+      calls.push({ url, size: body.inputs.length });
+      return answer(body.inputs);
+    }
+  };
+}
+
+test('records are sent in chunks of 100 with progress after each', async () => {
+  const hubspot = fakeClient();
+  const progress = [];
+  const result = await runBatchImport({
+    hubspot, schema, objectType: 'contacts', records: records(250), mode: 'upsert', idProperty: 'email',
+    onProgress: async (rows, { batchesDone, batches }) => progress.push(`${batchesDone}/${batches}`)
+  });
+  assert.deepEqual(hubspot.calls.map(call => call.size), [100, 100, 50]);
+  assert.equal(hubspot.calls[0].url, '/crm/v3/objects/contacts/batch/upsert');
+  assert.deepEqual(progress, ['1/3', '2/3', '3/3']);
+  assert.deepEqual(result.counts, { total: 250, success: 250, failed: 0, skipped: 0, pending: 0 });
+});
+
+test('invalid, empty and repeated rows are reported without being sent', async () => {
+  const hubspot = fakeClient();
+  const result = await runBatchImport({
+    hubspot, schema, objectType: 'contacts', mode: 'upsert', idProperty: 'email',
+    records: [...records(2), { record: { email: 'U0@x.com' } }, { record: {} }, { record: { firstname: 'No email' } }]
+  });
+  assert.deepEqual(result.rows.map(row => row.status), ['success', 'success', 'skipped', 'skipped', 'failed']);
+  assert.equal(hubspot.calls.length, 1);
+  assert.equal(hubspot.calls[0].size, 2);
+});
+
+test('a rejected chunk is split until the failing row is isolated', async () => {
+  const hubspot = fakeClient(inputs => {
+    if (inputs.some(input => input.properties.email === 'u2@x.com')) {
+      const error = new Error('Request failed with status code 409');
+      error.response = { status: 409, data: { message: 'Contact already exists', category: 'CONFLICT' } };
+      throw error;
+    }
+    return { results: inputs.map((input, index) => ({ id: String(index), properties: input.properties })) };
+  });
+  const result = await runBatchImport({ hubspot, schema, objectType: 'contacts', records: records(4), mode: 'create', idProperty: 'email' });
+  assert.deepEqual(result.rows.map(row => row.status), ['success', 'success', 'failed', 'success']);
+  assert.equal(result.rows[2].error, 'Contact already exists');
+  assert.deepEqual(hubspot.calls.map(call => call.size), [4, 2, 2, 1, 1]);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../lib/csv');
+
+test('parseCsv reads a header row and records with their line numbers', () => {
+  const { columns, records } = parseCsv('email, firstname\r\na@x.com,Ann\r\nb@x.com,Bob\r\n');
+  assert.deepEqual(columns, ['email', 'firstname']);
+  assert.deepEqual(records, [
+    { line: 2, record: { email: 'a@x.com', firstname: 'Ann' } },
+    { line: 3, record: { email: 'b@x.com', firstname: 'Bob' } }
+  ]);
+});
+
+test('parseCsv handles quotes, escaped quotes and newlines inside quotes', () => {
+  const { records } = parseCsv('name,notes\n"Doe, Jane","said ""hi""\nthen left"\n');
+  assert.deepEqual(records[0].record, { name: 'Doe, Jane', notes: 'said "hi"\nthen left' });
+});
+
+test('parseCsv drops blank lines and a BOM, and fills missing fields', () => {
+  const { columns, records } = parseCsv('﻿email,firstname\n\na@x.com\n');
+  assert.deepEqual(columns, ['email', 'firstname']);
+  assert.deepEqual(records, [{ line: 3, record: { email: 'a@x.com', firstname: '' } }]);
+});
+
+test('parseCsv rejects unterminated quotes and rows longer than the header', () => {
+  assert.throws(() => parseCsv('email\n"a@x.com\n'), /Unterminated/);
+  assert.throws(() => parseCsv('email\na@x.com,extra\n'), /Line 2 has 2 fields/);
+  assert.deepEqual(parseCsv(''), { columns: [], records: [] });
+});
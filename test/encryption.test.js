@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { IntegrityError, TokenCipher, createTokenCipher } = require('../lib/encryption');
+
+const key = crypto.randomBytes(32);
+
+test('encrypt and decrypt round-trip a value bound to its record', () => {
+  const cipher = new TokenCipher({ key });
+  const envelope = cipher.encrypt({ access_token: 'at', refresh_token: 'rt' }, 'portal:1');
+  assert.equal(envelope.kid, cipher.currentKeyId);
+  assert.ok(!envelope.data.includes('at'));
+  assert.deepEqual(cipher.decrypt(envelope, 'portal:1'), { access_token: 'at', refresh_token: 'rt' });
+});
+
+test('decrypt fails the integrity check for another record or tampered data', () => {
+  const cipher = new TokenCipher({ key });
+  const envelope = cipher.encrypt({ access_token: 'at' }, 'portal:1');
+  assert.throws(() => cipher.decrypt(envelope, 'portal:2'), IntegrityError);
+
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  assert.throws(() => cipher.decrypt({ ...envelope, data: data.toString('base64') }, 'portal:1'), IntegrityError);
+  assert.throws(() => cipher.decrypt({ v: 1 }, 'portal:1'), IntegrityError);
+});
+
+test('values encrypted with a previous key stay readable after a rotation', () => {
+  const old = new TokenCipher({ key });
+  const envelope = old.encrypt('secret', 'portal:1');
+  const rotated = new TokenCipher({ key: crypto.randomBytes(32), previousKeys: [key] });
+  assert.equal(rotated.decrypt(envelope, 'portal:1'), 'secret');
+  assert.throws(() => new TokenCipher({ key: crypto.randomBytes(32) }).decrypt(envelope, 'portal:1'), /unknown key/);
+});
+
+test('createTokenCipher reads base64 and hex keys and rejects short ones', () => {
+  assert.equal(createTokenCipher({}), null);
+  assert.ok(createTokenCipher({ TOKEN_ENCRYPTION_KEY: key.toString('base64') }));
+  assert.equal(createTokenCipher({ TOKEN_ENCRYPTION_KEY: key.toString('hex') }).currentKeyId, createTokenCipher({ TOKEN_ENCRYPTION_KEY: key.toString('base64') }).currentKeyId);
+  assert.throws(() => createTokenCipher({ TOKEN_ENCRYPTION_KEY: 'c2hvcnQ=' }), /32-byte key/);
+});
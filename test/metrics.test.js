@@ -0,0 +1,15 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { endpointLabel } = require('../lib/metrics');
+
+test('endpointLabel keeps ids, emails and tokens out of the label', () => {
+  assert.equal(endpointLabel('https://api.hubapi.com/crm/v3/objects/contacts/jane@example.com?idProperty=email'), '/crm/v3/objects/contacts/:id');
+  assert.equal(endpointLabel('/crm/v3/lists/object-type-id/0-1/name/My%20List'), '/crm/v3/lists/object-type-id/0-1/name/:id');
+  assert.equal(endpointLabel('/oauth/v1/refresh-tokens/secret'), '/oauth/v1/refresh-tokens/:token');
+});
+
+test('endpointLabel keeps object types and operations', () => {
+  assert.equal(endpointLabel('/crm/v3/objects/2-1234/batch/read'), '/crm/v3/objects/2-1234/batch/read');
+  assert.equal(endpointLabel('/crm/v4/objects/contacts/55/associations/notes'), '/crm/v4/objects/contacts/:id/associations/notes');
+  assert.equal(endpointLabel('/crm/v3/lists/77/memberships'), '/crm/v3/lists/:id/memberships');
+});
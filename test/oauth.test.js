@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { OAuthStateStore } = require('../lib/oauth');
+const { MemoryStorage, FileStorage } = require('../lib/storage');
+
+process.env.SESSION_SECRET = 'test-secret';
+
+test('a state verifies on another instance without shared storage', async () => {
+  const state = await new OAuthStateStore(new MemoryStorage()).create('session-1', { returnTo: '/api/hubspot/portals', portalId: 42, replace: true });
+  const other = new OAuthStateStore(new MemoryStorage());
+  assert.deepEqual(await other.consume(state, 'session-1'), { returnTo: '/api/hubspot/portals', portalId: '42', replace: true });
+});
+
+test('a state is bound to its session and rejected when tampered with', async () => {
+  const store = new OAuthStateStore(new MemoryStorage());
+  const state = await store.create('session-1', { returnTo: '//evil.example.com' });
+  assert.match((await store.consume(state, 'session-2')).error, /different session/);
+
+  const [encoded, signature] = state.split('.');
+  const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...payload, r: '/elsewhere' })).toString('base64url');
+  assert.equal((await store.consume(`${forged}.${signature}`, 'session-1')).error, 'Invalid state parameter');
+  assert.equal((await store.consume(undefined, 'session-1')).error, 'Missing state parameter');
+  // Only same-site paths are kept as the page to return to
+  assert.equal((await store.consume(state, 'session-1')).returnTo, null);
+});
+
+test('a state expires', async (t) => {
+  const store = new OAuthStateStore(new MemoryStorage());
+  const state = await store.create('session-1');
+  t.mock.method(Date, 'now', () => new Date().getTime() + 11 * 60 * 1000);
+  assert.match((await store.consume(state, 'session-1')).error, /expired/);
+});
+
+test('with persistent storage a state can only be used once', async (t) => {
+  const filePath = `${require('os').tmpdir()}/oauth-test-${process.pid}.json`;
+  t.after(() => require('fs').rmSync(filePath, { force: true }));
+  const store = new OAuthStateStore(new FileStorage({ filePath }));
+  const state = await store.create('session-1');
+  assert.equal((await store.consume(state, 'session-1')).error, undefined);
+  assert.match((await store.consume(state, 'session-1')).error, /already used/);
+});
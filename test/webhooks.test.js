@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifySignature, describeEvent, WebhookDispatcher } = require('../lib/webhooks');
+const { MemoryStorage, FileStorage, SqliteStorage } = require('../lib/storage');
+
+// SQLite storage needs the optional better-sqlite3 package
+let hasSqlite = true;
+try {
+  require.resolve('better-sqlite3');
+} catch (error) {
+  hasSqlite = false;
+}
+
+const clientSecret = 'secret';
+const now = Date.now();
+
+function sign({ method = 'POST', uri, body, timestamp = String(now) }) {
+  return crypto.createHmac('sha256', clientSecret).update(`${method}${uri}${body}${timestamp}`).digest('base64');
+}
+
+test('verifySignature accepts a valid v3 signature', () => {
+  const uri = 'https://example.com/webhooks/hubspot';
+  const body = '[{"eventId":1}]';
+  const signature = sign({ uri, body });
+  assert.equal(verifySignature({ clientSecret, method: 'POST', uri, rawBody: body, signature, timestamp: String(now), now }), null);
+});
+
+test('verifySignature signs the URI with the characters HubSpot decodes', () => {
+  const body = '[]';
+  const signature = sign({ uri: 'https://example.com/webhooks/hubspot?from=a@b:c', body });
+  assert.equal(verifySignature({ clientSecret, method: 'POST', uri: 'https://example.com/webhooks/hubspot?from=a%40b%3Ac', rawBody: body, signature, timestamp: String(now), now }), null);
+});
+
+test('verifySignature rejects a tampered body or a wrong secret', () => {
+  const uri = 'https://example.com/webhooks/hubspot';
+  const signature = sign({ uri, body: '[{"eventId":1}]' });
+  assert.equal(verifySignature({ clientSecret, method: 'POST', uri, rawBody: '[{"eventId":2}]', signature, timestamp: String(now), now }), 'Invalid signature');
+  assert.equal(verifySignature({ clientSecret: 'other', method: 'POST', uri, rawBody: '[{"eventId":1}]', signature, timestamp: String(now), now }), 'Invalid signature');
+  assert.equal(verifySignature({ clientSecret, method: 'POST', uri, rawBody: '[{"eventId":1}]', signature: 'short', timestamp: String(now), now }), 'Invalid signature');
+});
+
+test('verifySignature rejects old timestamps and missing headers', () => {
+  const uri = 'https://example.com/webhooks/hubspot';
+  const timestamp = String(now - 6 * 60 * 1000);
+  const signature = sign({ uri, body: '[]', timestamp });
+  assert.equal(verifySignature({ clientSecret, method: 'POST', uri, rawBody: '[]', signature, timestamp, now }), 'Request timestamp is too old');
+  assert.match(verifySignature({ clientSecret, method: 'POST', uri, rawBody: '[]', now }), /Missing/);
+});
+
+test('describeEvent maps legacy and generic subscription types', () => {
+  assert.deepEqual(describeEvent({ subscriptionType: 'contact.propertyChange' }), { objectType: 'contacts', action: 'propertyChange' });
+  assert.deepEqual(describeEvent({ subscriptionType: 'object.creation', objectTypeId: '0-3' }), { objectType: 'deals', action: 'creation' });
+  assert.deepEqual(describeEvent({ subscriptionType: 'conversation.creation' }), { objectType: null, action: 'creation' });
+});
+
+test('WebhookDispatcher skips duplicates and retries events whose handler failed', async () => {
+  const dispatcher = new WebhookDispatcher({ storage: new MemoryStorage() });
+  let fail = true;
+  const handled = [];
+  dispatcher.on('contact.creation', async (events) => {
+    if (fail) throw new Error('down');
+    handled.push(...events.map(event => event.eventId));
+  });
+  const events = [{ eventId: 1, portalId: 1, subscriptionType: 'contact.creation' }];
+
+  assert.equal((await dispatcher.dispatch(events)).failures.length, 1);
+  fail = false;
+  assert.equal((await dispatcher.dispatch(events)).processed, 1);
+  assert.equal((await dispatcher.dispatch(events)).duplicates, 1);
+  assert.deepEqual(handled, [1]);
+});
+
+test('WebhookDispatcher recognises retries across instances sharing sqlite storage', { skip: !hasSqlite }, async (t) => {
+  const filePath = `${require('os').tmpdir()}/webhooks-test-${process.pid}.db`;
+  t.after(() => require('fs').rmSync(filePath, { force: true }));
+  const storage = new SqliteStorage({ filePath });
+  const events = [{ eventId: 7, portalId: 1, subscriptionType: 'contact.deletion' }];
+
+  assert.equal((await new WebhookDispatcher({ storage }).dispatch(events)).processed, 1);
+  assert.equal((await new WebhookDispatcher({ storage }).dispatch(events)).duplicates, 1);
+});
+
+test('WebhookDispatcher keeps event ids out of the file store', async (t) => {
+  const filePath = `${require('os').tmpdir()}/webhooks-test-${process.pid}.json`;
+  t.after(() => require('fs').rmSync(filePath, { force: true }));
+  const storage = new FileStorage({ filePath });
+  await new WebhookDispatcher({ storage }).dispatch([{ eventId: 7, portalId: 1, subscriptionType: 'contact.deletion' }]);
+  assert.deepEqual(await storage.keys('webhookevent:'), []);
+});
+
+test('WebhookDispatcher does not treat events without an eventId as duplicates of each other', async () => {
+  const dispatcher = new WebhookDispatcher();
+  const event = { portalId: 1, subscriptionType: 'contact.creation', subscriptionId: 5, occurredAt: 1000 };
+  const result = await dispatcher.dispatch([{ ...event, objectId: 1 }, { ...event, objectId: 2 }, { portalId: 1, subscriptionType: 'contact.creation' }]);
+  assert.equal(result.processed, 3);
+  assert.equal((await dispatcher.dispatch([{ ...event, objectId: 1 }])).duplicates, 1);
+  assert.equal((await dispatcher.dispatch([{ portalId: 1, subscriptionType: 'contact.creation' }])).processed, 1);
+});